@@ -19,6 +19,7 @@ namespace HtmlToPrefab.Editor
         public int ViewportWidth = 750;
         public int ViewportHeight = 1624;
         public float DeviceScaleFactor = 1f;
+        public Action<BakeProgressEvent> OnProgress;
     }
 
     internal sealed class BakeResult
@@ -29,6 +30,7 @@ namespace HtmlToPrefab.Editor
         public string OutputAssetFolder = string.Empty;
         public string UiIndexAssetPath = string.Empty;
         public string PrefabAssetPath = string.Empty;
+        public List<string> Warnings = new List<string>();
     }
 
     internal static class BakePipeline
@@ -37,7 +39,8 @@ namespace HtmlToPrefab.Editor
             string htmlAbsolutePath,
             string outputFolderAssetPath,
             int width,
-            int height
+            int height,
+            Action<BakeProgressEvent> onProgress = null
         )
         {
             var request = new BakeRequest
@@ -53,7 +56,8 @@ namespace HtmlToPrefab.Editor
                 Debug = false,
                 BakeRotation = false,
                 StableIds = true,
-                DeviceScaleFactor = 1f
+                DeviceScaleFactor = 1f,
+                OnProgress = onProgress
             };
 
             return Run(request);
@@ -103,7 +107,9 @@ namespace HtmlToPrefab.Editor
             var nodeResult = NodeBakeRunner.Run(
                 request.NodeExecutable,
                 args,
-                bakerRoot
+                bakerRoot,
+                300000,
+                evt => HandleProgressEvent(evt, request, result)
             );
 
             if (!nodeResult.Success)
@@ -200,6 +206,13 @@ namespace HtmlToPrefab.Editor
                 "--root-selector=body"
             };
 
+            if (request.StableIds)
+            {
+                args.Add("--id-mode=stable");
+            }
+
+            args.Add("--events=ndjson");
+
             if (request.Debug)
             {
                 args.Add("--debug");
@@ -248,6 +261,22 @@ namespace HtmlToPrefab.Editor
             return $"{basePath}/{name}".Replace('\\', '/');
         }
 
+        private static void HandleProgressEvent(BakeProgressEvent evt, BakeRequest request, BakeResult result)
+        {
+            if (evt == null)
+            {
+                return;
+            }
+
+            if (evt.type == "warning")
+            {
+                var location = string.IsNullOrEmpty(evt.nodeId) ? string.Empty : $" (node {evt.nodeId})";
+                result.Warnings.Add($"[{evt.code}]{location} {evt.message}".Trim());
+            }
+
+            request.OnProgress?.Invoke(evt);
+        }
+
         private static string MergeLogs(string stdout, string stderr)
         {
             var builder = new StringBuilder();
@@ -165,12 +165,13 @@ namespace HtmlToPrefab.Editor
             BakeResult result;
             try
             {
-                EditorUtility.DisplayProgressBar("HTML UI Baker", "Running bake pipeline...", 0.5f);
+                EditorUtility.DisplayProgressBar("HTML UI Baker", "Running bake pipeline...", 0f);
                 result = BakePipeline.RunBake(
                     _htmlPath,
                     outputFolder,
                     Mathf.Max(1, _viewportWidth),
-                    Mathf.Max(1, _viewportHeight)
+                    Mathf.Max(1, _viewportHeight),
+                    ShowBakeProgress
                 );
             }
             finally
@@ -179,6 +180,10 @@ namespace HtmlToPrefab.Editor
             }
 
             _logText = string.IsNullOrWhiteSpace(result.Log) ? result.Message : $"{result.Message}\n\n{result.Log}";
+            if (result.Warnings.Count > 0)
+            {
+                _logText = $"{result.Message}\n\nWarnings ({result.Warnings.Count}):\n{string.Join("\n", result.Warnings)}\n\n{result.Log}";
+            }
             Repaint();
 
             if (result.Success)
@@ -194,6 +199,46 @@ namespace HtmlToPrefab.Editor
             }
         }
 
+        private static void ShowBakeProgress(BakeProgressEvent evt)
+        {
+            switch (evt.type)
+            {
+                case "stage:start":
+                    EditorUtility.DisplayProgressBar("HTML UI Baker", $"Stage: {evt.stage}", GetStageProgress(evt.stage));
+                    break;
+                case "task:progress":
+                    var total = Mathf.Max(1, evt.total);
+                    var captureProgress = Mathf.Lerp(
+                        GetStageProgress("bake"),
+                        GetStageProgress("assemble"),
+                        Mathf.Clamp01((float)evt.index / total)
+                    );
+                    EditorUtility.DisplayProgressBar(
+                        "HTML UI Baker",
+                        $"Capturing {evt.index}/{evt.total}: {evt.outputName}",
+                        captureProgress
+                    );
+                    break;
+                case "run:end":
+                    EditorUtility.DisplayProgressBar("HTML UI Baker", "Importing assets and building prefab...", 0.95f);
+                    break;
+            }
+        }
+
+        private static float GetStageProgress(string stage)
+        {
+            switch (stage)
+            {
+                case "launch": return 0.02f;
+                case "open": return 0.05f;
+                case "analyze": return 0.1f;
+                case "plan": return 0.25f;
+                case "bake": return 0.3f;
+                case "assemble": return 0.9f;
+                default: return 0f;
+            }
+        }
+
         private static void EnsureOutputFolderExists(string assetFolderPath)
         {
             if (AssetDatabase.IsValidFolder(assetFolderPath))
@@ -1,6 +1,8 @@
 using System;
+using System.Collections.Concurrent;
 using System.Diagnostics;
 using System.Text;
+using UnityEngine;
 
 namespace HtmlToPrefab.Editor
 {
@@ -12,13 +14,45 @@ namespace HtmlToPrefab.Editor
         public bool Success => ExitCode == 0;
     }
 
+    // One line of `--events=ndjson` output. Unused fields stay at their defaults.
+    [Serializable]
+    internal sealed class BakeProgressEvent
+    {
+        public string type = string.Empty;
+        public string stage = string.Empty;
+        public string status = string.Empty;
+        public string code = string.Empty;
+        public string message = string.Empty;
+        public string nodeId = string.Empty;
+        public string outputName = string.Empty;
+        public string outputDir = string.Empty;
+        public int index;
+        public int total;
+        public float durationMs;
+    }
+
     internal static class NodeBakeRunner
     {
+        private const int EventPollIntervalMs = 100;
+
         public static NodeRunResult Run(string executable, string arguments, string workingDirectory, int timeoutMs = 300000)
+        {
+            return Run(executable, arguments, workingDirectory, timeoutMs, null);
+        }
+
+        // onEvent is invoked on the calling thread; stdout lines that parse as events are not kept in StdOut.
+        public static NodeRunResult Run(
+            string executable,
+            string arguments,
+            string workingDirectory,
+            int timeoutMs,
+            Action<BakeProgressEvent> onEvent
+        )
         {
             var result = new NodeRunResult();
             var stdout = new StringBuilder();
             var stderr = new StringBuilder();
+            var pendingEvents = new ConcurrentQueue<BakeProgressEvent>();
 
             try
             {
@@ -37,10 +71,19 @@ namespace HtmlToPrefab.Editor
 
                     process.OutputDataReceived += (_, evt) =>
                     {
-                        if (evt.Data != null)
+                        if (evt.Data == null)
                         {
-                            stdout.AppendLine(evt.Data);
+                            return;
                         }
+
+                        var progressEvent = onEvent != null ? TryParseEvent(evt.Data) : null;
+                        if (progressEvent != null)
+                        {
+                            pendingEvents.Enqueue(progressEvent);
+                            return;
+                        }
+
+                        stdout.AppendLine(evt.Data);
                     };
 
                     process.ErrorDataReceived += (_, evt) =>
@@ -61,7 +104,21 @@ namespace HtmlToPrefab.Editor
                     process.BeginOutputReadLine();
                     process.BeginErrorReadLine();
 
-                    if (!process.WaitForExit(timeoutMs))
+                    var stopwatch = Stopwatch.StartNew();
+                    var exited = false;
+                    while (!exited)
+                    {
+                        var remainingMs = timeoutMs - (int)stopwatch.ElapsedMilliseconds;
+                        if (remainingMs <= 0)
+                        {
+                            break;
+                        }
+
+                        exited = process.WaitForExit(Math.Min(EventPollIntervalMs, remainingMs));
+                        DrainEvents(pendingEvents, onEvent);
+                    }
+
+                    if (!exited)
                     {
                         try
                         {
@@ -79,6 +136,7 @@ namespace HtmlToPrefab.Editor
                     }
 
                     process.WaitForExit();
+                    DrainEvents(pendingEvents, onEvent);
                     result.ExitCode = process.ExitCode;
                     result.StdOut = stdout.ToString();
                     result.StdErr = stderr.ToString();
@@ -93,5 +151,37 @@ namespace HtmlToPrefab.Editor
                 return result;
             }
         }
+
+        private static BakeProgressEvent TryParseEvent(string line)
+        {
+            var trimmed = line.Trim();
+            if (!trimmed.StartsWith("{", StringComparison.Ordinal) || !trimmed.Contains("\"type\""))
+            {
+                return null;
+            }
+
+            try
+            {
+                var parsed = JsonUtility.FromJson<BakeProgressEvent>(trimmed);
+                return parsed != null && !string.IsNullOrEmpty(parsed.type) ? parsed : null;
+            }
+            catch
+            {
+                return null;
+            }
+        }
+
+        private static void DrainEvents(ConcurrentQueue<BakeProgressEvent> pendingEvents, Action<BakeProgressEvent> onEvent)
+        {
+            if (onEvent == null)
+            {
+                return;
+            }
+
+            while (pendingEvents.TryDequeue(out var progressEvent))
+            {
+                onEvent(progressEvent);
+            }
+        }
     }
 }
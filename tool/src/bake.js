@@ -0,0 +1,671 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const Context = require('./core/Context');
+const Analyzer = require('./core/Analyzer');
+const Planner = require('./core/Planner');
+const Baker = require('./core/Baker');
+const Assembler = require('./core/Assembler');
+const PageHooks = require('./core/PageHooks');
+const StateVariantBaker = require('./core/StateVariantBaker');
+const ImageDeduper = require('./core/ImageDeduper');
+const AtlasPacker = require('./core/AtlasPacker');
+const NineSliceDetector = require('./core/NineSliceDetector');
+const logger = require('./utils/logger');
+const { createEventStream, parseWarning } = require('./utils/events');
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value);
+  return Number(value.toFixed(2)).toString();
+}
+
+function assertFileExists(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(
+      `Target HTML not found: ${filePath}. ` +
+      'Use --html <path> (or --input <path>) to point to a valid file.',
+    );
+  }
+}
+
+async function getPageContentSize(page) {
+  return page.evaluate(() => {
+    const doc = document.documentElement;
+    const body = document.body;
+    const width = Math.max(
+      doc ? doc.scrollWidth : 0,
+      doc ? doc.offsetWidth : 0,
+      body ? body.scrollWidth : 0,
+      body ? body.offsetWidth : 0,
+      window.innerWidth || 0,
+    );
+    const height = Math.max(
+      doc ? doc.scrollHeight : 0,
+      doc ? doc.offsetHeight : 0,
+      body ? body.scrollHeight : 0,
+      body ? body.offsetHeight : 0,
+      window.innerHeight || 0,
+    );
+    return { width, height };
+  });
+}
+
+function resolveFsExtra() {
+  try {
+    return require('fs-extra');
+  } catch (_) {
+    return require(path.resolve(__dirname, '../UIBaker/node_modules/fs-extra'));
+  }
+}
+
+function countCaptureTasks(plan) {
+  return (Array.isArray(plan) ? plan : [])
+    .filter((task) => task && (task.type === 'CAPTURE_PAGE' || task.type === 'CAPTURE_NODE'))
+    .length;
+}
+
+function countNodes(node) {
+  if (!node) return 0;
+  const children = Array.isArray(node.children) ? node.children : [];
+  let total = 1;
+  for (const child of children) {
+    total += countNodes(child);
+  }
+  return total;
+}
+
+function countScrollContainers(node) {
+  if (!node) return 0;
+  const children = Array.isArray(node.children) ? node.children : [];
+  let total = node.scroll ? 1 : 0;
+  for (const child of children) {
+    total += countScrollContainers(child);
+  }
+  return total;
+}
+
+async function openHtmlWithFallback(
+  page,
+  fileUrl,
+  navigationTimeoutMs,
+  loadSettleTimeoutMs,
+  disableNavLoadTimeoutFallback,
+) {
+  if (disableNavLoadTimeoutFallback) {
+    await page.goto(fileUrl, {
+      waitUntil: 'load',
+      timeout: navigationTimeoutMs,
+    });
+    return;
+  }
+
+  await page.goto(fileUrl, {
+    waitUntil: 'domcontentloaded',
+    timeout: navigationTimeoutMs,
+  });
+
+  try {
+    await page.waitForFunction(
+      () => document.readyState === 'complete',
+      { timeout: loadSettleTimeoutMs },
+    );
+  } catch (_) {
+    logger.warn(
+      `[nav-load-timeout-fallback] readyState incomplete after ${loadSettleTimeoutMs}ms; ` +
+      'continue after domcontentloaded.',
+    );
+  }
+}
+
+async function writeNetworkReport(context, fsExtra) {
+  const report = context.getNetworkReport();
+  if (!report) return;
+
+  const reportPath = path.join(context.config.outputDir, 'debug', 'network_report.json');
+  await fsExtra.ensureDir(path.dirname(reportPath));
+  await fsExtra.writeJson(reportPath, report, { spaces: 2 });
+  logger.info(
+    `[Network] Served locally: ${report.served.length} | ` +
+    `Blocked: ${report.blocked.length} | Passthrough: ${report.passthrough.length}`,
+  );
+  if (report.blocked.length > 0) {
+    logger.warn(`[network-blocked] ${report.blocked.length} remote request(s) unresolved. See ${reportPath}`);
+  }
+  logger.info(`[Network] Report: ${reportPath}`);
+}
+
+async function writeJsonArtifact(fsExtra, files, key, filePath, value) {
+  await fsExtra.ensureDir(path.dirname(filePath));
+  await fsExtra.writeJson(filePath, value, { spaces: 2 });
+  files[key] = filePath;
+}
+
+const STAGES = ['analyze', 'plan', 'bake', 'assemble'];
+
+function resolveStageRange(config) {
+  const from = config.fromStage || STAGES[0];
+  const to = config.toStage || STAGES[STAGES.length - 1];
+  const fromIndex = STAGES.indexOf(from);
+  const toIndex = STAGES.indexOf(to);
+  if (fromIndex < 0) {
+    throw new Error(`Unknown --from-stage "${from}". Expected one of: ${STAGES.join(', ')}.`);
+  }
+  if (toIndex < 0) {
+    throw new Error(`Unknown --to-stage "${to}". Expected one of: ${STAGES.join(', ')}.`);
+  }
+  if (fromIndex > toIndex) {
+    throw new Error(`--from-stage "${from}" comes after --to-stage "${to}".`);
+  }
+
+  return {
+    from,
+    to,
+    runs: (stage) => {
+      const index = STAGES.indexOf(stage);
+      return index >= fromIndex && index <= toIndex;
+    },
+  };
+}
+
+async function readStageArtifact(fsExtra, filePath, stage) {
+  if (!(await fsExtra.pathExists(filePath))) {
+    throw new Error(
+      `Cannot resume past stage "${stage}": ${filePath} not found. ` +
+      'Run that stage first or move --from-stage earlier.',
+    );
+  }
+  return fsExtra.readJson(filePath);
+}
+
+function applyContentSize(context, config, contentSize) {
+  config.contentLogicalWidth = Math.max(config.logicalWidth, contentSize.width);
+  config.contentLogicalHeight = Math.max(config.logicalHeight, contentSize.height);
+  config.contentPhysicalWidth = Math.max(config.targetWidth, Math.round(config.contentLogicalWidth * config.dpr));
+  config.contentPhysicalHeight = Math.max(config.targetHeight, Math.round(config.contentLogicalHeight * config.dpr));
+  context.contentHeight = config.contentLogicalHeight;
+}
+
+async function loadContentSize(fsExtra, metricsPath, analysisTree, config) {
+  if (await fsExtra.pathExists(metricsPath)) {
+    const metrics = await fsExtra.readJson(metricsPath);
+    if (metrics && metrics.contentSize) return metrics.contentSize;
+  }
+
+  // Older outputs have no page_metrics.json; the analyzer root rect is the content size in physical px.
+  const rect = analysisTree && analysisTree.rect ? analysisTree.rect : {};
+  const dpr = Number(config.dpr) > 0 ? Number(config.dpr) : 1;
+  return {
+    width: Math.round((Number(rect.width) || 0) / dpr),
+    height: Math.round((Number(rect.height) || 0) / dpr),
+  };
+}
+
+async function runStage(context, stage, work) {
+  const events = context.events;
+  const startedAt = Date.now();
+  if (events) events.emit('stage:start', { stage });
+  const summary = await work();
+  if (events) events.emit('stage:end', { stage, durationMs: Date.now() - startedAt, ...(summary || {}) });
+}
+
+function emitStageLoaded(context, stage, file) {
+  if (context.events) context.events.emit('stage:loaded', { stage, file });
+}
+
+async function runPipeline(context, htmlPath, fsExtra, options) {
+  const { writeFiles } = options;
+  const files = {};
+  const config = context.config;
+  const stages = resolveStageRange(config);
+  const debugDir = path.join(config.outputDir, 'debug');
+  const analysisPath = path.join(debugDir, 'analysis_tree.json');
+  const planPath = path.join(debugDir, 'bake_plan.json');
+  const rulesTracePath = path.join(debugDir, 'rules_trace.json');
+  const captureMetaPath = path.join(debugDir, 'capture_meta.json');
+  const metricsPath = path.join(debugDir, 'page_metrics.json');
+  const analyzerComparePath = path.join(debugDir, 'analyzer_compare.json');
+  const needsPage = stages.runs('analyze') || stages.runs('bake');
+  const analyzer = new Analyzer(context);
+  const planner = new Planner(context);
+  const baker = new Baker(context);
+  const assembler = new Assembler(context);
+  if (stages.from !== STAGES[0] || stages.to !== STAGES[STAGES.length - 1]) {
+    logger.info(`[Stages] Running ${stages.from} -> ${stages.to}`);
+  }
+
+  let page = null;
+  // Navigation plus page hooks; also used to reset the page between scripted state bakes.
+  let pseudoReported = false;
+  const loadPage = async (target = page) => {
+    await openHtmlWithFallback(
+      target,
+      pathToFileURL(htmlPath).href,
+      config.navigationTimeoutMs,
+      config.navigationLoadSettleTimeoutMs,
+      config.disableNavLoadTimeoutFallback,
+    );
+    const rewrittenRules = await context.applyPostNavigationEmulation(target);
+    if (rewrittenRules > 0) {
+      logger.info(`[Context] Safe-area fallback rewrote ${rewrittenRules} env(safe-area-inset-*) rule(s).`);
+    }
+
+    const pageHooks = new PageHooks(context, { beforeAnalyze: options.beforeAnalyze });
+    const hookReport = pageHooks.hasWork() ? await pageHooks.apply(target) : null;
+
+    // After hooks, so pseudo-elements they add or restyle are materialized too; every reload repeats it so
+    // persisted domPaths keep resolving.
+    if (config.extractPseudoElements) {
+      const pseudo = await analyzer.materializePseudoElements(target);
+      if (!pseudoReported) {
+        pseudoReported = true;
+        logger.info(`[Analyzer] Pseudo-elements: ${pseudo.created} extracted, ${pseudo.skipped} left on host.`);
+        if (pseudo.reverted > 0) {
+          logger.warn(
+            `[pseudo-reverted] ${pseudo.reverted} pseudo-element(s) left on host: inserting them as real children ` +
+            'moved the host layout (structural selectors such as :first-child or + now matched differently).',
+          );
+        }
+      }
+    }
+    return hookReport;
+  };
+
+  // Pool pages replay navigation and hooks, then take the analyzed ids so every page resolves the same nodes.
+  const openCapturePool = async () => {
+    const extraCount = Math.min(config.captureConcurrency, countCaptureTasks(plan)) - 1;
+    if (extraCount <= 0) return [];
+
+    const poolPages = await context.openPoolPages(extraCount);
+    for (const poolPage of poolPages) {
+      await loadPage(poolPage);
+      const restore = await analyzer.restoreBakeIds(poolPage, analysisTree);
+      if (restore.missing.length > 0) {
+        logger.warn(
+          `[capture-pool] ${restore.missing.length} node(s) could not be resolved on a pool page; ` +
+          'captures for them may come out empty if the page renders differently per load.',
+        );
+      }
+    }
+    logger.info(`[Baker] Capture pool: ${poolPages.length + 1} page(s).`);
+    return poolPages;
+  };
+
+  if (needsPage) {
+    await runStage(context, 'launch', async () => {
+      logger.step('Context Launch');
+      ({ page } = await context.launch());
+      logger.info(
+        `[Context] Target: ${config.targetWidth}x${config.targetHeight} | ` +
+        `Logical: ${config.logicalWidth}x${config.logicalHeight} | ` +
+        `DPR: ${formatNumber(config.dpr)}`,
+      );
+    });
+
+    await runStage(context, 'open', async () => {
+      logger.step('Open HTML');
+      assertFileExists(htmlPath);
+      logger.info(`Loading: ${htmlPath}`);
+      const hookReport = await loadPage();
+      if (hookReport) {
+        logger.info(
+          `[Hooks] CSS: ${hookReport.css.length} | Scripts: ${hookReport.scripts.length} | ` +
+          `beforeAnalyze: ${hookReport.hooks.length}`,
+        );
+      }
+
+      logger.step('Measure Content Size');
+      const contentSize = await getPageContentSize(page);
+      logger.info(`[Page] Content Size: ${contentSize.width}x${contentSize.height}`);
+      applyContentSize(context, config, contentSize);
+      if (writeFiles) {
+        await writeJsonArtifact(fsExtra, files, 'pageMetrics', metricsPath, { contentSize });
+      }
+      return { contentSize };
+    });
+  }
+
+  let analysisTree = null;
+  if (stages.runs('analyze')) {
+    await runStage(context, 'analyze', async () => {
+      logger.step('DOM Analysis');
+      analysisTree = await analyzer.run(page);
+      const nodeCount = countNodes(analysisTree);
+      logger.info(`[Analyzer] DOM Analysis complete (${config.analyzer}). Found ${nodeCount} nodes.`);
+      const scrollCount = countScrollContainers(analysisTree);
+      if (scrollCount > 0 && !config.captureScrollContent) {
+        logger.warn(
+          `[scroll-clipped] ${scrollCount} scroll container(s) found; content outside their viewports is ` +
+          'clipped. Pass --capture-scroll-content to bake it in full.',
+        );
+      }
+      if (writeFiles) {
+        await writeJsonArtifact(fsExtra, files, 'analysisTree', analysisPath, analysisTree);
+        logger.info(`[Analyzer] Output: ${files.analysisTree}`);
+      }
+      const comparison = analyzer.comparison;
+      if (comparison) {
+        logger.info(
+          `[Analyzer] Compare: ${comparison.analyzer} ${comparison.durationsMs[comparison.analyzer]}ms | ` +
+          `${comparison.comparedWith} ${comparison.durationsMs[comparison.comparedWith]}ms`,
+        );
+        if (!comparison.identical) {
+          logger.warn(
+            `[analyzer-compare] ${comparison.analyzer} and ${comparison.comparedWith} analyzers differ in ` +
+            `${comparison.differenceCount} field(s); first at ${comparison.differences[0].path}.`,
+          );
+        }
+        if (writeFiles) {
+          await writeJsonArtifact(fsExtra, files, 'analyzerCompare', analyzerComparePath, comparison);
+        }
+      }
+      return { nodeCount };
+    });
+  } else {
+    analysisTree = await readStageArtifact(fsExtra, analysisPath, 'analyze');
+    logger.info(`[Stages] Loaded analysis tree: ${analysisPath}`);
+    emitStageLoaded(context, 'analyze', analysisPath);
+    if (page) {
+      const restore = await analyzer.restoreBakeIds(page, analysisTree);
+      logger.info(`[Analyzer] Restored ${restore.restored} bake id(s) on the page.`);
+      if (restore.missing.length > 0) {
+        logger.warn(
+          `[stage-resume] ${restore.missing.length} node(s) from analysis_tree.json no longer match the page; ` +
+          'rerun from the analyze stage if the HTML changed.',
+        );
+      }
+    } else {
+      applyContentSize(context, config, await loadContentSize(fsExtra, metricsPath, analysisTree, config));
+    }
+  }
+
+  let plan = null;
+  let rulesTrace = [];
+  if (stages.runs('plan')) {
+    await runStage(context, 'plan', async () => {
+      logger.step('Task Planning');
+      plan = planner.plan(analysisTree);
+      rulesTrace = typeof planner.getRuleTrace === 'function' ? planner.getRuleTrace() : [];
+      logger.info(`[Planner] Plan generated. Total tasks: ${plan.length}`);
+      const plainDecorativeText = rulesTrace.filter(
+        (item) => item && item.mode === 'decorativeText' && item.decision === 'text',
+      );
+      if (plainDecorativeText.length > 0) {
+        logger.warn(
+          `[decorative-text] ${plainDecorativeText.length} text node(s) use stroke, gradient or layered shadows that a ` +
+          'plain label drops. Pass --decorative-text image|both (or --decorative-text-rules) to bake them.',
+        );
+      }
+      if (writeFiles) {
+        await writeJsonArtifact(fsExtra, files, 'plan', planPath, plan);
+        await writeJsonArtifact(fsExtra, files, 'rulesTrace', rulesTracePath, rulesTrace);
+        logger.info(`[Planner] Output: ${files.plan}`);
+        logger.info(`[Planner] Rules Trace: ${files.rulesTrace}`);
+      }
+      return { taskCount: plan.length };
+    });
+  } else if (stages.runs('bake') || stages.runs('assemble')) {
+    plan = await readStageArtifact(fsExtra, planPath, 'plan');
+    rulesTrace = (await fsExtra.pathExists(rulesTracePath)) ? await fsExtra.readJson(rulesTracePath) : [];
+    logger.info(`[Stages] Loaded plan: ${planPath}`);
+    emitStageLoaded(context, 'plan', planPath);
+  }
+
+  let captureMeta = null;
+  if (stages.runs('bake')) {
+    await runStage(context, 'bake', async () => {
+      logger.step('Asset Baking');
+      const poolPages = await openCapturePool();
+      try {
+        captureMeta = (await baker.run(page, plan, { pages: poolPages })) || {};
+      } finally {
+        await context.closePoolPages();
+      }
+      if (writeFiles) {
+        await writeJsonArtifact(fsExtra, files, 'captureMeta', captureMetaPath, captureMeta);
+      }
+      if (captureMeta.cache && captureMeta.cache.enabled) {
+        logger.info(
+          `[Baker] Capture cache: ${captureMeta.cache.hits} hit(s), ${captureMeta.cache.misses} miss(es) | ` +
+          `${captureMeta.cache.dir}`,
+        );
+      }
+      logger.info('[Baker] Assets baking complete.');
+      return { captureCount: Object.keys(captureMeta.nodeCaptures || {}).length };
+    });
+
+    const unknownStates = config.states.filter(
+      (name) => !Object.prototype.hasOwnProperty.call(StateVariantBaker.PSEUDO_STATES, name),
+    );
+    if (unknownStates.length > 0) {
+      logger.warn(
+        `[states-unknown] Ignoring --states ${unknownStates.join(', ')}; ` +
+        `supported: ${Object.keys(StateVariantBaker.PSEUDO_STATES).join(', ')}. Use --states-script for custom states.`,
+      );
+    }
+    const stateBaker = new StateVariantBaker(context, baker, {
+      resetPage: async () => {
+        await loadPage();
+        await analyzer.restoreBakeIds(page, analysisTree);
+      },
+    });
+    if (stateBaker.hasWork()) {
+      await runStage(context, 'states', async () => {
+        logger.step('State Variants');
+        const stateVariants = await stateBaker.run(page, analysisTree, plan);
+        captureMeta.stateVariants = stateVariants;
+        for (const state of stateVariants.states) {
+          logger.info(
+            `[States] ${state.name} (${state.source}): ${state.changedNodes} changed node(s), ` +
+            `${state.capturedImages} image(s)`,
+          );
+        }
+        if (writeFiles) {
+          await writeJsonArtifact(fsExtra, files, 'captureMeta', captureMetaPath, captureMeta);
+        }
+        return { stateCount: stateVariants.states.length };
+      });
+    }
+
+    // Dedupe runs before packing so collapsed duplicates never take atlas space.
+    if (config.dedupe !== 'off') {
+      await runStage(context, 'dedupe', async () => {
+        logger.step('Image Dedupe');
+        const dedupe = await new ImageDeduper(context).run(plan, captureMeta);
+        captureMeta.dedupe = dedupe;
+        logger.info(
+          `[Dedupe] ${dedupe.mode}: ${dedupe.removedCount} of ${dedupe.imageCount} image(s) collapsed into ` +
+          `${dedupe.canonicalCount} file(s), saved ${(dedupe.bytesSaved / 1024).toFixed(1)} KB`,
+        );
+        if (writeFiles) {
+          await writeJsonArtifact(fsExtra, files, 'captureMeta', captureMetaPath, captureMeta);
+        }
+        return { removedCount: dedupe.removedCount, bytesSaved: dedupe.bytesSaved };
+      });
+    }
+
+    // After dedupe so each canonical image is analyzed once; slice sources stay out of the atlas.
+    if (config.nineSlice) {
+      await runStage(context, 'nine-slice', async () => {
+        logger.step('Nine-Slice Detection');
+        const nineSlice = await new NineSliceDetector(context).run(analysisTree, plan, captureMeta);
+        captureMeta.nineSlice = nineSlice;
+        logger.info(`[NineSlice] ${Object.keys(nineSlice).length} stretchable image(s) detected`);
+        if (writeFiles) {
+          await writeJsonArtifact(fsExtra, files, 'captureMeta', captureMetaPath, captureMeta);
+        }
+        return { sliceCount: Object.keys(nineSlice).length };
+      });
+    }
+
+    if (config.atlas) {
+      await runStage(context, 'atlas', async () => {
+        logger.step('Atlas Packing');
+        const atlas = await new AtlasPacker(context).run(plan, captureMeta);
+        captureMeta.atlas = atlas;
+        logger.info(
+          `[Atlas] ${Object.keys(atlas.sprites).length} sprite(s) on ${atlas.pages.length} page(s) ` +
+          `(max ${atlas.maxSize}px, padding ${atlas.padding}px)`,
+        );
+        if (atlas.oversized.length > 0) {
+          logger.warn(
+            `[atlas-oversize] ${atlas.oversized.length} image(s) exceed --atlas-max-size=${atlas.maxSize} ` +
+            'and stay standalone only.',
+          );
+        }
+        if (writeFiles) {
+          await writeJsonArtifact(fsExtra, files, 'captureMeta', captureMetaPath, captureMeta);
+        }
+        return { pageCount: atlas.pages.length, spriteCount: Object.keys(atlas.sprites).length };
+      });
+    }
+  } else if (stages.runs('assemble')) {
+    captureMeta = await readStageArtifact(fsExtra, captureMetaPath, 'bake');
+    logger.info(`[Stages] Loaded capture meta: ${captureMetaPath}`);
+    emitStageLoaded(context, 'bake', captureMetaPath);
+  }
+
+  let layout = null;
+  if (stages.runs('assemble')) {
+    await runStage(context, 'assemble', async () => {
+      logger.step('Layout Assembly');
+      layout = await assembler.run(analysisTree, plan, captureMeta);
+      if (writeFiles) {
+        await writeJsonArtifact(fsExtra, files, 'layout', path.join(config.outputDir, 'layout.json'), layout);
+        logger.info(`[Assembler] Layout assembly complete: ${files.layout}`);
+      } else {
+        logger.info('[Assembler] Layout assembly complete.');
+      }
+    });
+  }
+
+  const nodeCount = countNodes(analysisTree);
+  const tasks = Array.isArray(plan) ? plan : [];
+  const imageCount = tasks.filter((t) => t && t.type === 'CAPTURE_NODE').length + 1;
+  logger.step('Done');
+  logger.info(`✅ ${stages.runs('assemble') ? 'Conversion' : `Stages ${stages.from} -> ${stages.to}`} complete!`);
+  logger.info(`   Output: ${path.resolve(config.outputDir)}`);
+  if (writeFiles && layout) {
+    logger.info('   Layout: layout.json');
+  }
+  if (stages.runs('bake')) {
+    logger.info(`   Images: ${imageCount} generated`);
+  }
+
+  return {
+    analysisTree,
+    plan,
+    rulesTrace,
+    captureMeta,
+    layout,
+    files,
+    stages: { from: stages.from, to: stages.to },
+    stats: {
+      nodeCount,
+      taskCount: tasks.length,
+      imageCount: stages.runs('bake') ? imageCount : 0,
+    },
+  };
+}
+
+/**
+ * Runs Context -> Analyzer -> Planner -> Baker -> Assembler in-process.
+ *
+ * Options are the camelCase form of the CLI flags (`outputDir`, `width`, `idMode`, ...).
+ * Extra raw CLI tokens can be passed through `argv`. A caller-owned Puppeteer `browser`
+ * is reused and left open. Images are always written under `outputDir`; JSON artifacts
+ * (analysis tree, plan, trace, capture meta, layout, network report) only when
+ * `writeFiles` is not false. `fromStage`/`toStage` limit the run to part of the pipeline;
+ * skipped upstream stages are loaded from `outputDir/debug`. Progress events go to
+ * `onEvent(event)` in addition to any `--events`/`--events-file` sinks. `beforeAnalyze`
+ * (a function or array of `(page, config)` functions) runs after the page opens, after
+ * any `--inject-css`/`--inject-script`/`--hook` files.
+ *
+ * Throws on failure instead of setting `process.exitCode`.
+ *
+ * Not re-entrant: warnings reach the event stream through the process-global logger, so
+ * concurrent `bake()` calls in one process would relay each other's warnings. Run them in
+ * sequence (or in separate processes).
+ */
+async function bake(options = {}) {
+  const htmlPath = options.html ? path.resolve(process.cwd(), String(options.html)) : '';
+  if (!htmlPath) {
+    throw new Error('bake(options) requires options.html.');
+  }
+
+  const writeFiles = options.writeFiles !== false;
+  const context = Context.fromOptions(options);
+  const fsExtra = resolveFsExtra();
+  if (context.config.events === 'ndjson') {
+    logger.useStderr(true);
+  }
+  const ownsEvents = !options.eventStream;
+  const events = options.eventStream || createEventStream(context.config, options.onEvent);
+  context.events = events.enabled ? events : null;
+  const stopWarnRelay = logger.onWarn((message) => events.emit('warning', parseWarning(message)));
+  const startedAt = Date.now();
+  events.emit('run:start', { html: htmlPath, outputDir: path.resolve(context.config.outputDir) });
+
+  let result = null;
+  let failure = null;
+  try {
+    result = await runPipeline(context, htmlPath, fsExtra, {
+      writeFiles,
+      beforeAnalyze: options.beforeAnalyze,
+    });
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    if (writeFiles) {
+      try {
+        await writeNetworkReport(context, fsExtra);
+      } catch (reportError) {
+        logger.warn(`[Network] Failed to write report: ${reportError.message || reportError}`);
+      }
+    }
+    try {
+      // A close failure is only logged: it must not mask the pipeline error or skip the terminal event.
+      try {
+        await context.close();
+        logger.info('Context closed.');
+      } catch (closeError) {
+        logger.warn(`[Context] Failed to close: ${closeError.message || closeError}`);
+      }
+
+      if (result) {
+        if (context.getNetworkReport() && writeFiles) {
+          result.files.networkReport = path.join(context.config.outputDir, 'debug', 'network_report.json');
+        }
+        events.emit('artifacts', {
+          outputDir: path.resolve(context.config.outputDir),
+          files: result.files,
+          imagesDir: path.resolve(context.config.outputDir, 'images'),
+          imageCount: result.stats.imageCount,
+        });
+      }
+      events.emit('run:end', {
+        status: failure ? 'failed' : 'ok',
+        durationMs: Date.now() - startedAt,
+        ...(failure ? { message: failure.message || String(failure) } : {}),
+      });
+    } finally {
+      stopWarnRelay();
+      if (ownsEvents) {
+        events.close();
+      }
+    }
+  }
+
+  return {
+    ...result,
+    networkReport: context.getNetworkReport(),
+    config: context.config,
+    htmlPath,
+    outputDir: path.resolve(context.config.outputDir),
+  };
+}
+
+module.exports = {
+  bake,
+};
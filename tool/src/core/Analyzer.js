@@ -1,4 +1,4 @@
-const { randomUUID } = require('crypto');
+const { createHash, randomUUID } = require('crypto');
 
 let uuidV4 = null;
 try {
@@ -20,10 +20,1146 @@ function createId() {
   return `id-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
 }
 
+// Runs in the page. Replaces each rendered ::before/::after with a <bake-pseudo> element that carries the
+// pseudo's computed style inline, so decorations are analyzed, planned and captured like real children.
+// Content the element cannot reproduce (url(), counters, quotes) stays a pseudo and keeps baking into its host.
+// A real child also changes how the page's own structural selectors (:first-child, :empty, +, ~, > *) match the
+// host's children; hosts whose layout moves after insertion are reverted, but paint-only changes go unnoticed.
+function materializePseudoElementsInPage() {
+  if (document.getElementById('bake-pseudo-style')) return { created: 0, skipped: 0, reverted: 0 };
+
+  const parseContent = (content, host) => {
+    const tokens = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|attr\([^)]*\)|\S+/g) || [];
+    let text = '';
+    for (const token of tokens) {
+      if (token[0] === '"' || token[0] === "'") {
+        text += token.slice(1, -1)
+          .replace(/\\([0-9a-f]{1,6})\s?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+          .replace(/\\(.)/g, '$1');
+      } else if (/^attr\(/i.test(token)) {
+        text += host.getAttribute(token.slice(5, -1).trim()) || '';
+      } else {
+        return null;
+      }
+    }
+    return text;
+  };
+
+  const pending = [];
+  let skipped = 0;
+  for (const host of Array.from(document.body ? document.body.querySelectorAll('*') : [])) {
+    if (host.namespaceURI !== 'http://www.w3.org/1999/xhtml' || host.tagName === 'BAKE-PSEUDO') continue;
+    for (const name of ['before', 'after']) {
+      const style = window.getComputedStyle(host, `::${name}`);
+      if (!style.content || style.content === 'none' || style.content === 'normal' || style.display === 'none') {
+        continue;
+      }
+      const text = parseContent(style.content, host);
+      if (text === null) {
+        skipped += 1;
+        continue;
+      }
+      const declarations = [];
+      for (let i = 0; i < style.length; i += 1) {
+        const prop = style[i];
+        // Copying animation/transition longhands would restart them on the new element.
+        if (prop === 'content' || /^(animation|transition)/.test(prop)) continue;
+        declarations.push([prop, style.getPropertyValue(prop)]);
+      }
+      pending.push({ host, name, text, declarations });
+    }
+  }
+
+  const layoutOf = (host) => [host].concat(Array.from(host.children))
+    .filter((node) => node.tagName !== 'BAKE-PSEUDO')
+    .map((node) => {
+      const rect = node.getBoundingClientRect();
+      return [rect.left, rect.top, rect.width, rect.height];
+    });
+  const hosts = new Map();
+  for (const item of pending) {
+    if (!hosts.has(item.host)) hosts.set(item.host, { layout: layoutOf(item.host), boxes: [], names: [] });
+  }
+
+  // Snapshot first, insert after: new children would otherwise shift :first-child/:empty matches mid-scan.
+  for (const item of pending) {
+    const box = document.createElement('bake-pseudo');
+    box.className = `__pseudo __pseudo-${item.name}`;
+    box.setAttribute('data-pseudo-element', item.name);
+    for (const [prop, value] of item.declarations) {
+      box.style.setProperty(prop, value);
+    }
+    box.textContent = item.text;
+    if (item.name === 'before') {
+      item.host.insertBefore(box, item.host.firstChild);
+    } else {
+      item.host.appendChild(box);
+    }
+    item.host.setAttribute(`data-bake-pseudo-${item.name}`, '1');
+    hosts.get(item.host).boxes.push(box);
+    hosts.get(item.host).names.push(item.name);
+  }
+
+  const styleTag = document.createElement('style');
+  styleTag.id = 'bake-pseudo-style';
+  styleTag.textContent = [
+    '[data-bake-pseudo-before]::before,',
+    '[data-bake-pseudo-after]::after {',
+    '  content: none !important;',
+    '}',
+  ].join('\n');
+  document.head.appendChild(styleTag);
+
+  // Read every host before reverting any, so one revert can't mask or cause another's shift.
+  const shifted = Array.from(hosts.entries()).filter(([host, entry]) => {
+    const after = layoutOf(host);
+    return after.length !== entry.layout.length ||
+      after.some((rect, i) => rect.some((value, j) => Math.abs(value - entry.layout[i][j]) > 0.5));
+  });
+  let reverted = 0;
+  for (const [host, entry] of shifted) {
+    entry.boxes.forEach((box) => box.remove());
+    entry.names.forEach((name) => host.removeAttribute(`data-bake-pseudo-${name}`));
+    reverted += entry.boxes.length;
+  }
+  return { created: pending.length - reverted, skipped: skipped + reverted, reverted };
+}
+
+// Stable ids hash structural identity only (no rects), so unchanged HTML rebakes to the same ids.
+function createNodeIdFactory(mode) {
+  if (mode !== 'stable') {
+    return () => createId();
+  }
+
+  const duplicateCounters = new Map();
+  return (seed) => {
+    const key = JSON.stringify(seed);
+    const duplicateIndex = duplicateCounters.get(key) || 0;
+    duplicateCounters.set(key, duplicateIndex + 1);
+    return createHash('sha1')
+      .update(`${key}|${duplicateIndex}`)
+      .digest('hex')
+      .slice(0, 32);
+  };
+}
+
+const ATOMIC_IMAGE_TAGS = ['IMG', 'SVG', 'CANVAS', 'VIDEO', 'PICTURE'];
+const MAX_COMPARE_DIFFERENCES = 50;
+
+function isAtomicImageTag(tagName) {
+  return ATOMIC_IMAGE_TAGS.includes(tagName);
+}
+
+// Runs in the page. Mirrors the _traverse walk: skips hidden subtrees, atomic image and rich-text children, and lists
+// children last-to-first with their DOM order so id generation happens in the same sequence.
+function collectNodesInPage(root, extract, devicePixelRatio, atomicTags, extractOptions) {
+  const elements = [];
+  const entries = [];
+  const visit = (el) => {
+    const index = elements.length;
+    const info = extract(el, devicePixelRatio, extractOptions);
+    const entry = { info: info && info.isVisible ? info : null, children: [] };
+    elements.push(el);
+    entries.push(entry);
+    if (!entry.info || atomicTags.includes(info.tagName) || info.richText) return index;
+
+    const children = Array.from(el.children);
+    for (let domOrder = children.length - 1; domOrder >= 0; domOrder -= 1) {
+      entry.children.push({ index: visit(children[domOrder]), childIndex: domOrder });
+    }
+    return index;
+  };
+  visit(root);
+  return { elements, entries };
+}
+
+// Node ids differ between runs in uuid mode, so trees are compared with ids replaced by traversal order.
+function canonicalizeIds(tree) {
+  const labels = new Map();
+  const collect = (node) => {
+    if (!node) return;
+    labels.set(node.id, `#${labels.size}`);
+    for (const child of Array.isArray(node.children) ? node.children : []) {
+      collect(child);
+    }
+  };
+  collect(tree);
+
+  const rewrite = (value) => {
+    if (typeof value === 'string') return labels.has(value) ? labels.get(value) : value;
+    if (Array.isArray(value)) return value.map(rewrite);
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) {
+        out[key] = rewrite(item);
+      }
+      return out;
+    }
+    return value;
+  };
+  return rewrite(tree);
+}
+
+function diffAnalysisTrees(tree, otherTree) {
+  const differences = [];
+  const visit = (value, other, pathLabel) => {
+    const bothObjects = value && other && typeof value === 'object' && typeof other === 'object'
+      && Array.isArray(value) === Array.isArray(other);
+    if (!bothObjects) {
+      if (!Object.is(value, other)) {
+        differences.push({ path: pathLabel || '(root)', value, comparedValue: other });
+      }
+      return;
+    }
+
+    const keys = new Set([...Object.keys(value), ...Object.keys(other)]);
+    for (const key of keys) {
+      const childPath = Array.isArray(value) ? `${pathLabel}[${key}]` : (pathLabel ? `${pathLabel}.${key}` : key);
+      visit(value[key], other[key], childPath);
+    }
+  };
+  visit(canonicalizeIds(tree), canonicalizeIds(otherTree), '');
+  return differences;
+}
+
+// Runs in the page. Shared by the per-element and single-pass analyzers so both see identical node info.
+function extractNodeInfoInPage(el, devicePixelRatio, extractOptions) {
+  const tagName = el.tagName ? el.tagName.toUpperCase() : '';
+  const htmlTag = tagName ? tagName.toLowerCase() : '';
+  const style = window.getComputedStyle(el);
+  const rect = el.getBoundingClientRect();
+  const rawText = el.textContent || '';
+  const text = rawText.trim();
+  const className =
+    typeof el.className === 'string'
+      ? el.className
+      : typeof el.getAttribute === 'function'
+        ? el.getAttribute('class') || ''
+        : '';
+  const hasMaterialIconClass = /(?:^|\s)(?:material-symbols(?:-(?:outlined|rounded|sharp))?|material-icons(?:-(?:outlined|round|sharp|two-tone))?)(?:\s|$)/i.test(className);
+  const fontFamilyLower = (style.fontFamily || '').toLowerCase();
+  const hasMaterialIconFont =
+    fontFamilyLower.includes('material symbols') || fontFamilyLower.includes('material icons');
+  const isIconGlyph = hasMaterialIconClass || hasMaterialIconFont;
+  const isMaskLayer = el.getAttribute && el.getAttribute('data-bake-mask') === '1';
+  const classes = (className || '')
+    .split(/\s+/)
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+
+  const getAttr = (name) => {
+    if (typeof el.getAttribute !== 'function') return '';
+    const value = el.getAttribute(name);
+    return value == null ? '' : String(value);
+  };
+
+  const pushAttr = (list, key, value) => {
+    const normalizedKey = (key || '').trim();
+    if (!normalizedKey || value == null) return;
+    const normalizedValue = String(value).trim();
+    if (!normalizedValue) return;
+    const exists = list.some((item) => item && item.key === normalizedKey);
+    if (!exists) {
+      list.push({ key: normalizedKey, value: normalizedValue });
+    }
+  };
+
+  const attrs = [];
+  const attrWhitelist = [
+    'id',
+    'name',
+    'type',
+    'role',
+    'placeholder',
+    'value',
+    'href',
+    'src',
+    'alt',
+    'title',
+    'for',
+    'aria-label',
+    'aria-labelledby',
+    'aria-describedby',
+    'data-action',
+    'data-pseudo-element',
+    'data-cs-click',
+    'data-cs-change',
+    'data-cs-input',
+  ];
+
+  for (const attrName of attrWhitelist) {
+    pushAttr(attrs, attrName, getAttr(attrName));
+  }
+
+  const boolAttrs = ['checked', 'disabled', 'readonly', 'required', 'selected'];
+  if (typeof el.hasAttribute === 'function') {
+    for (const attrName of boolAttrs) {
+      if (el.hasAttribute(attrName)) {
+        pushAttr(attrs, attrName, 'true');
+      }
+    }
+  }
+
+  if (el.attributes) {
+    for (const rawAttr of Array.from(el.attributes)) {
+      if (!rawAttr || !rawAttr.name) continue;
+      if (/^data-ui-/i.test(rawAttr.name)) {
+        pushAttr(attrs, rawAttr.name, rawAttr.value);
+      }
+    }
+  }
+
+  const role = getAttr('role');
+  const inputType = htmlTag === 'input'
+    ? ((getAttr('type') || 'text').trim().toLowerCase() || 'text')
+    : '';
+  const isRangeInput = htmlTag === 'input' && inputType === 'range';
+
+  const toNumber = (value, fallback = 0) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+
+  const parsePx = (value, fallback = 0) => {
+    if (!value || value === 'normal') return fallback;
+    const match = String(value).match(/(-?\d*\.?\d+)px/);
+    if (!match) return fallback;
+    const parsed = parseFloat(match[1]);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+
+  const parseZIndex = (value) => {
+    if (!value || value === 'auto') return 0;
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+  };
+
+  const parseRotation = (transform) => {
+    if (!transform || transform === 'none') return 0;
+
+    const matrix3d = transform.match(/matrix3d\(([^)]+)\)/);
+    if (matrix3d) {
+      const values = matrix3d[1].split(',').map((v) => parseFloat(v.trim()));
+      const a = values[0];
+      const b = values[1];
+      const angle = Math.atan2(b, a) * (180 / Math.PI);
+      return Number.isFinite(angle) ? angle : 0;
+    }
+
+    const matrix2d = transform.match(/matrix\(([^)]+)\)/);
+    if (matrix2d) {
+      const values = matrix2d[1].split(',').map((v) => parseFloat(v.trim()));
+      const a = values[0];
+      const b = values[1];
+      const angle = Math.atan2(b, a) * (180 / Math.PI);
+      return Number.isFinite(angle) ? angle : 0;
+    }
+
+    const rotate = transform.match(/rotate\(([^)]+)\)/);
+    if (rotate) {
+      const raw = rotate[1].trim();
+      if (raw.endsWith('deg')) return parseFloat(raw);
+      if (raw.endsWith('rad')) return parseFloat(raw) * (180 / Math.PI);
+    }
+
+    return 0;
+  };
+
+  const rotation = parseRotation(style.transform);
+
+  const isTransparentColor = (color) => {
+    if (!color) return true;
+    if (color === 'transparent') return true;
+    const match = color.match(/rgba?\(([^)]+)\)/i);
+    if (!match) return false;
+    const parts = match[1].split(',').map((p) => p.trim());
+    if (parts.length < 4) return false;
+    const alpha = parseFloat(parts[3]);
+    return Number.isFinite(alpha) && alpha === 0;
+  };
+
+  // A background clipped to the glyphs is a text fill, not box paint.
+  // Only when decorative text can be baked; otherwise the old box classification keeps default output unchanged.
+  const clipsBackgroundToText = (style.webkitBackgroundClip || style.backgroundClip) === 'text';
+  const textFillOnly = clipsBackgroundToText && !!(extractOptions && extractOptions.bakeDecorativeText);
+  const hasBackgroundColor = !textFillOnly && !isTransparentColor(style.backgroundColor);
+  const hasBackgroundImage = !textFillOnly && style.backgroundImage && style.backgroundImage !== 'none';
+  const hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some((side) => {
+    const width = parseFloat(style[`border${side}Width`]);
+    const borderStyle = style[`border${side}Style`];
+    return width > 0 && borderStyle !== 'none' && borderStyle !== 'hidden';
+  });
+  const hasBoxShadow = style.boxShadow && style.boxShadow !== 'none';
+  const hasVisual = hasBackgroundColor || hasBackgroundImage || hasBorder || hasBoxShadow || isRangeInput;
+  const hasPseudoPaint = ['::before', '::after'].some((pseudo) => {
+    const content = window.getComputedStyle(el, pseudo).content;
+    return !!content && content !== 'none' && content !== 'normal';
+  });
+
+  const transitionProperty = (style.transitionProperty || '').toLowerCase();
+  const hasVisibilityTransition =
+    transitionProperty.includes('all') || transitionProperty.includes('visibility');
+  const hasExplicitHiddenClass = /(?:^|\s)(?:hidden|invisible|sr-only|collapse)(?:\s|$)/i.test(className);
+  const hasExplicitHiddenAttr =
+    (typeof el.hasAttribute === 'function' && el.hasAttribute('hidden')) ||
+    (typeof el.getAttribute === 'function' && el.getAttribute('aria-hidden') === 'true');
+  const transientHidden =
+    style.visibility === 'hidden' &&
+    hasVisibilityTransition &&
+    !hasExplicitHiddenClass &&
+    !hasExplicitHiddenAttr;
+
+  const isVisible =
+    style.display !== 'none' &&
+    (style.visibility !== 'hidden' || transientHidden) &&
+    parseFloat(style.opacity || '1') !== 0 &&
+    rect.width > 0 &&
+    rect.height > 0;
+
+  const textNodes = Array.from(el.childNodes).filter(
+    (node) => node.nodeType === Node.TEXT_NODE && (node.textContent || '').trim().length > 0,
+  );
+
+  let directText = '';
+  let directTextRaw = '';
+  let directTextRect = null;
+  if (textNodes.length > 0) {
+    directTextRaw = textNodes.map((node) => node.textContent).join('');
+    directText = directTextRaw.trim();
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (const node of textNodes) {
+      const range = document.createRange();
+      range.selectNodeContents(node);
+      const rects = range.getClientRects();
+      for (const r of rects) {
+        minX = Math.min(minX, r.left);
+        minY = Math.min(minY, r.top);
+        maxX = Math.max(maxX, r.right);
+        maxY = Math.max(maxY, r.bottom);
+      }
+    }
+
+    if (Number.isFinite(minX)) {
+      directTextRect = {
+        x: (minX + window.scrollX) * devicePixelRatio,
+        y: (minY + window.scrollY) * devicePixelRatio,
+        width: (maxX - minX) * devicePixelRatio,
+        height: (maxY - minY) * devicePixelRatio,
+      };
+    }
+  }
+
+  const parseCssPxToPhysical = (cssValue) => {
+    if (!cssValue || cssValue === 'normal') return null;
+    const match = cssValue.match(/(-?\d*\.?\d+)px/);
+    if (match) {
+      return parseFloat(match[1]) * devicePixelRatio;
+    }
+    return null;
+  };
+
+  const getDomPath = (node) => {
+    if (!node || node.nodeType !== 1) return '';
+    const parts = [];
+    let current = node;
+    while (current && current.nodeType === 1 && current !== document.documentElement) {
+      const tag = current.tagName.toLowerCase();
+      let index = 1;
+      let sibling = current;
+      while (sibling.previousElementSibling) {
+        sibling = sibling.previousElementSibling;
+        if (sibling.tagName === current.tagName) index += 1;
+      }
+      const sameTagCount = current.parentElement
+        ? Array.from(current.parentElement.children).filter((c) => c.tagName === current.tagName).length
+        : 0;
+      const part = sameTagCount > 1 ? `${tag}:nth-of-type(${index})` : tag;
+      parts.unshift(part);
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const physicalRect = {
+    x: (rect.left + window.scrollX) * devicePixelRatio,
+    y: (rect.top + window.scrollY) * devicePixelRatio,
+    width: rect.width * devicePixelRatio,
+    height: rect.height * devicePixelRatio,
+  };
+
+  // The document scroller is covered by the full-page capture; only nested scroll regions are flagged.
+  const buildScrollInfo = () => {
+    if (tagName === 'BODY' || tagName === 'HTML') return null;
+    const scrollsOn = (overflow, scrollSize, clientSize) => overflow === 'scroll' ||
+      ((overflow === 'auto' || overflow === 'overlay') && scrollSize > clientSize + 0.5);
+    const horizontal = scrollsOn(style.overflowX, el.scrollWidth, el.clientWidth);
+    const vertical = scrollsOn(style.overflowY, el.scrollHeight, el.clientHeight);
+    if (!horizontal && !vertical) return null;
+    return {
+      horizontal,
+      vertical,
+      viewport: {
+        x: (rect.left + el.clientLeft + window.scrollX) * devicePixelRatio,
+        y: (rect.top + el.clientTop + window.scrollY) * devicePixelRatio,
+        width: el.clientWidth * devicePixelRatio,
+        height: el.clientHeight * devicePixelRatio,
+      },
+      contentWidth: el.scrollWidth * devicePixelRatio,
+      contentHeight: el.scrollHeight * devicePixelRatio,
+      scrollX: el.scrollLeft * devicePixelRatio,
+      scrollY: el.scrollTop * devicePixelRatio,
+    };
+  };
+
+  const buildRangeParts = () => {
+    if (!isRangeInput || rect.width <= 0 || rect.height <= 0) return [];
+    const splitSelectorList = (selectorText) => {
+      const text = String(selectorText || '');
+      const list = [];
+      let current = '';
+      let parenDepth = 0;
+      let bracketDepth = 0;
+      for (let i = 0; i < text.length; i += 1) {
+        const ch = text[i];
+        if (ch === '(') parenDepth += 1;
+        if (ch === ')') parenDepth = Math.max(0, parenDepth - 1);
+        if (ch === '[') bracketDepth += 1;
+        if (ch === ']') bracketDepth = Math.max(0, bracketDepth - 1);
+        if (ch === ',' && parenDepth === 0 && bracketDepth === 0) {
+          if (current.trim()) list.push(current.trim());
+          current = '';
+        } else {
+          current += ch;
+        }
+      }
+      if (current.trim()) list.push(current.trim());
+      return list;
+    };
+
+    const collectPseudoRuleStyle = (pseudoName) => {
+      const merged = {};
+      const pseudoToken = `::${pseudoName}`;
+      const applyRuleStyle = (styleDecl) => {
+        if (!styleDecl) return;
+        for (let i = 0; i < styleDecl.length; i += 1) {
+          const prop = styleDecl[i];
+          const value = styleDecl.getPropertyValue(prop);
+          if (!prop || !value) continue;
+          merged[String(prop).toLowerCase()] = String(value).trim();
+        }
+      };
+      const matchSelector = (selectorText) => {
+        const selectors = splitSelectorList(selectorText);
+        for (const selector of selectors) {
+          if (!selector || !selector.includes(pseudoToken)) continue;
+          const idx = selector.indexOf(pseudoToken);
+          const baseSelector = `${selector.slice(0, idx)}${selector.slice(idx + pseudoToken.length)}`.trim();
+          if (!baseSelector) return true;
+          try {
+            if (el.matches(baseSelector)) return true;
+          } catch (_) {
+            // ignore invalid selector fragments
+          }
+        }
+        return false;
+      };
+      const walkRules = (rules) => {
+        if (!rules) return;
+        for (const rule of Array.from(rules)) {
+          if (!rule) continue;
+          if (rule.type === CSSRule.STYLE_RULE) {
+            if (matchSelector(rule.selectorText || '')) {
+              applyRuleStyle(rule.style);
+            }
+            continue;
+          }
+          if (rule.cssRules) {
+            walkRules(rule.cssRules);
+          }
+        }
+      };
+      for (const sheet of Array.from(document.styleSheets || [])) {
+        try {
+          walkRules(sheet.cssRules);
+        } catch (_) {
+          // ignore cross-origin/inaccessible style sheets
+        }
+      }
+      return merged;
+    };
+
+    const parseBorderWidth = (styleMap, side) => {
+      const sideKey = `border-${side}-width`;
+      const sideValue = parsePx(styleMap[sideKey], NaN);
+      if (Number.isFinite(sideValue)) return Math.max(0, sideValue);
+      const borderValue = String(styleMap.border || '').trim();
+      const borderMatch = borderValue.match(/(-?\d*\.?\d+)px/);
+      if (!borderMatch) return 0;
+      const parsed = parseFloat(borderMatch[1]);
+      return Number.isFinite(parsed) ? Math.max(0, parsed) : 0;
+    };
+
+    const parseBoxShadowPad = (boxShadow) => {
+      if (!boxShadow || boxShadow === 'none') return 0;
+      const parts = [];
+      let depth = 0;
+      let current = '';
+      for (const ch of String(boxShadow)) {
+        if (ch === '(') depth += 1;
+        if (ch === ')') depth = Math.max(0, depth - 1);
+        if (ch === ',' && depth === 0) {
+          parts.push(current);
+          current = '';
+        } else {
+          current += ch;
+        }
+      }
+      if (current.trim()) parts.push(current);
+
+      let maxPad = 0;
+      for (const part of parts) {
+        if (/\binset\b/i.test(part)) continue;
+        const values = part.match(/-?\d*\.?\d+px/g) || [];
+        const nums = values.map((v) => parseFloat(v));
+        const offsetX = nums[0] || 0;
+        const offsetY = nums[1] || 0;
+        const blur = nums[2] || 0;
+        const spread = nums[3] || 0;
+        const pad = Math.max(Math.abs(offsetX), Math.abs(offsetY)) + blur + spread;
+        if (pad > maxPad) maxPad = pad;
+      }
+      return maxPad;
+    };
+
+    const isTransparentColor = (value) => {
+      if (!value) return true;
+      const normalized = String(value).trim().toLowerCase();
+      return normalized === 'transparent' ||
+        normalized === 'rgba(0, 0, 0, 0)' ||
+        normalized === 'rgba(0,0,0,0)';
+    };
+
+    const resolvePseudoStyle = (pseudoName, props) => {
+      const computed = window.getComputedStyle(el, `::${pseudoName}`);
+      const computedMap = {};
+      for (const prop of props) {
+        const key = String(prop).toLowerCase();
+        computedMap[key] = computed.getPropertyValue(key) || '';
+      }
+      const ruleMap = collectPseudoRuleStyle(pseudoName);
+
+      const computedWidth = parsePx(computedMap.width, NaN);
+      const computedHeight = parsePx(computedMap.height, NaN);
+      const borderSum = parseBorderWidth(computedMap, 'top') +
+        parseBorderWidth(computedMap, 'right') +
+        parseBorderWidth(computedMap, 'bottom') +
+        parseBorderWidth(computedMap, 'left');
+      const noVisualPaint = isTransparentColor(computedMap['background-color']) &&
+        (!computedMap['background-image'] || computedMap['background-image'] === 'none') &&
+        borderSum <= 0.01 &&
+        parseBoxShadowPad(computedMap['box-shadow']) <= 0.01;
+      const looksLikeInputRect = Number.isFinite(computedWidth) &&
+        Number.isFinite(computedHeight) &&
+        Math.abs(computedWidth - rect.width) <= 0.5 &&
+        Math.abs(computedHeight - rect.height) <= 0.5;
+      const useRuleFallback = looksLikeInputRect && noVisualPaint;
+
+      const resolved = {};
+      for (const prop of props) {
+        const key = String(prop).toLowerCase();
+        const computedValue = computedMap[key] || '';
+        const ruleValue = ruleMap[key] || '';
+        resolved[key] = useRuleFallback
+          ? (ruleValue || computedValue)
+          : (computedValue || ruleValue);
+      }
+      return resolved;
+    };
+
+    const trackStyle = resolvePseudoStyle('-webkit-slider-runnable-track', [
+      'width',
+      'height',
+      'border',
+      'border-top-width',
+      'border-right-width',
+      'border-bottom-width',
+      'border-left-width',
+      'box-shadow',
+      'margin-top',
+      'background',
+      'background-color',
+      'background-image',
+    ]);
+    const thumbStyle = resolvePseudoStyle('-webkit-slider-thumb', [
+      'width',
+      'height',
+      'border',
+      'border-top-width',
+      'border-right-width',
+      'border-bottom-width',
+      'border-left-width',
+      'box-shadow',
+      'margin-top',
+      'background',
+      'background-color',
+      'background-image',
+    ]);
+
+    const min = toNumber(el.min, 0);
+    const max = toNumber(el.max, 100);
+    const value = toNumber(el.value, min);
+    const span = Math.max(0.0001, max - min);
+    const ratio = Math.min(1, Math.max(0, (value - min) / span));
+
+    const trackHeightRaw = parsePx(trackStyle.height, rect.height);
+    const trackBorderTop = parseBorderWidth(trackStyle, 'top');
+    const trackBorderBottom = parseBorderWidth(trackStyle, 'bottom');
+    const trackBorderLeft = parseBorderWidth(trackStyle, 'left');
+    const trackBorderRight = parseBorderWidth(trackStyle, 'right');
+    const trackHeight = Math.max(1, trackHeightRaw + trackBorderTop + trackBorderBottom);
+    const trackWidth = Math.max(1, rect.width);
+    const trackX = rect.left;
+    const trackY = rect.top + (rect.height - trackHeight) / 2;
+
+    const thumbWidth = Math.max(1, parsePx(thumbStyle.width, NaN));
+    const thumbHeight = Math.max(1, parsePx(thumbStyle.height, NaN));
+    const thumbBorderTop = parseBorderWidth(thumbStyle, 'top');
+    const thumbBorderBottom = parseBorderWidth(thumbStyle, 'bottom');
+    const thumbBorderLeft = parseBorderWidth(thumbStyle, 'left');
+    const thumbBorderRight = parseBorderWidth(thumbStyle, 'right');
+
+    let resolvedThumbWidth = thumbWidth;
+    let resolvedThumbHeight = thumbHeight;
+    const fallbackThumbWidth = Math.max(8, (trackHeightRaw > 0 ? trackHeightRaw : trackHeight) * 2);
+    const fallbackThumbHeight = Math.max(12, (trackHeightRaw > 0 ? trackHeightRaw : trackHeight) * 3);
+    if (!Number.isFinite(resolvedThumbWidth) || resolvedThumbWidth <= 0 || resolvedThumbWidth >= trackWidth * 0.8) {
+      resolvedThumbWidth = fallbackThumbWidth;
+    }
+    if (!Number.isFinite(resolvedThumbHeight) || resolvedThumbHeight <= 0 || resolvedThumbHeight >= Math.max(rect.height * 4, trackHeight * 6)) {
+      resolvedThumbHeight = fallbackThumbHeight;
+    }
+    resolvedThumbWidth += thumbBorderLeft + thumbBorderRight;
+    resolvedThumbHeight += thumbBorderTop + thumbBorderBottom;
+
+    const thumbMarginTop = parsePx(thumbStyle['margin-top'], 0);
+    const safeThumbMarginTop =
+      Number.isFinite(thumbMarginTop) && Math.abs(thumbMarginTop) <= Math.max(rect.height * 4, trackHeight * 6)
+        ? thumbMarginTop
+        : 0;
+    const hasExplicitThumbMarginTop = Number.isFinite(thumbMarginTop) && Math.abs(thumbMarginTop) > 0.001;
+    // In Chromium, range thumb vertical placement follows margin-top semantics
+    // more closely than pure center alignment when author CSS sets margin-top.
+    const trackContentTop = rect.top + (rect.height - trackHeightRaw) / 2 + trackBorderTop;
+    const thumbTravel = Math.max(0, trackWidth - trackBorderLeft - trackBorderRight - resolvedThumbWidth);
+    const thumbX = trackX + trackBorderLeft + ratio * thumbTravel;
+    const thumbY = hasExplicitThumbMarginTop
+      ? (trackContentTop + safeThumbMarginTop)
+      : (trackY + (trackHeight - resolvedThumbHeight) / 2);
+
+    const trackShadowPad = parseBoxShadowPad(trackStyle['box-shadow']);
+    const thumbShadowPad = parseBoxShadowPad(thumbStyle['box-shadow']);
+
+    const toPhysicalRect = (x, y, width, height, shadowPad = 0) => ({
+      x: (x - shadowPad + window.scrollX) * devicePixelRatio,
+      y: (y - shadowPad + window.scrollY) * devicePixelRatio,
+      width: Math.max(1, (width + shadowPad * 2) * devicePixelRatio),
+      height: Math.max(1, (height + shadowPad * 2) * devicePixelRatio),
+    });
+
+    return [
+      {
+        name: 'track',
+        rect: toPhysicalRect(trackX, trackY, trackWidth, trackHeight, trackShadowPad),
+      },
+      {
+        name: 'thumb',
+        rect: toPhysicalRect(thumbX, thumbY, resolvedThumbWidth, resolvedThumbHeight, thumbShadowPad),
+      },
+    ];
+  };
+
+  const rangeParts = buildRangeParts();
+  const zIndex = parseZIndex(style.zIndex);
+
+  const physicalFontSize = parseCssPxToPhysical(style.fontSize);
+  const physicalLineHeight = parseCssPxToPhysical(style.lineHeight);
+  const physicalLetterSpacing = parseCssPxToPhysical(style.letterSpacing);
+  const physicalTextStrokeWidth = parseCssPxToPhysical(style.webkitTextStrokeWidth);
+
+  const computedStyles = {
+    background: style.background,
+    backgroundColor: style.backgroundColor,
+    backgroundImage: style.backgroundImage,
+    backgroundClip: style.webkitBackgroundClip || style.backgroundClip,
+    backgroundSize: style.backgroundSize,
+    backgroundRepeat: style.backgroundRepeat,
+    backgroundPosition: style.backgroundPosition,
+    border: style.border,
+    borderTopWidth: style.borderTopWidth,
+    borderRightWidth: style.borderRightWidth,
+    borderBottomWidth: style.borderBottomWidth,
+    borderLeftWidth: style.borderLeftWidth,
+    borderRadius: style.borderRadius,
+    boxShadow: style.boxShadow,
+    filter: style.filter,
+    opacity: style.opacity,
+    display: style.display,
+    visibility: style.visibility,
+    position: style.position,
+    zIndex: style.zIndex,
+    transform: style.transform,
+    transformOrigin: style.transformOrigin,
+    overflow: style.overflow,
+    overflowX: style.overflowX,
+    overflowY: style.overflowY,
+    pointerEvents: style.pointerEvents,
+    mixBlendMode: style.mixBlendMode,
+    clipPath: style.clipPath,
+    maskImage: style.maskImage,
+    mask: style.mask,
+    backdropFilter: style.backdropFilter,
+    webkitBackdropFilter: style.webkitBackdropFilter,
+  };
+
+  // Typed OM keeps computed values (auto, percentages) that getComputedStyle resolves to px for positioned boxes.
+  const styleMap = typeof el.computedStyleMap === 'function' ? el.computedStyleMap() : null;
+  const readComputed = (prop) => {
+    if (styleMap) {
+      try {
+        const value = styleMap.get(prop);
+        if (value) return value.toString();
+      } catch (_) {
+        // Unknown to Typed OM; fall through.
+      }
+    }
+    return style.getPropertyValue(prop);
+  };
+
+  const isLayoutContainer = /^(inline-)?(flex|grid)$/.test(style.display || '');
+  // Whether width/height come from content rather than an explicit size; null without Typed OM, where
+  // getComputedStyle has already resolved `auto` to px.
+  const readAutoSize = (prop) => {
+    if (!isLayoutContainer || !styleMap) return null;
+    return readComputed(prop).trim().toLowerCase() === 'auto';
+  };
+
+  const layoutStyles = {
+    display: style.display,
+    position: style.position,
+    float: style.cssFloat,
+    flexDirection: style.flexDirection,
+    flexWrap: style.flexWrap,
+    rowGap: style.rowGap,
+    columnGap: style.columnGap,
+    justifyContent: style.justifyContent,
+    alignItems: style.alignItems,
+    alignContent: style.alignContent,
+    gridTemplateColumns: style.gridTemplateColumns,
+    gridTemplateRows: style.gridTemplateRows,
+    gridAutoFlow: style.gridAutoFlow,
+    paddingTop: style.paddingTop,
+    paddingRight: style.paddingRight,
+    paddingBottom: style.paddingBottom,
+    paddingLeft: style.paddingLeft,
+    flexGrow: style.flexGrow,
+    flexShrink: style.flexShrink,
+    flexBasis: style.flexBasis,
+    alignSelf: style.alignSelf,
+    order: style.order,
+    gridColumnStart: style.gridColumnStart,
+    gridColumnEnd: style.gridColumnEnd,
+    gridRowStart: style.gridRowStart,
+    gridRowEnd: style.gridRowEnd,
+    autoWidth: readAutoSize('width'),
+    autoHeight: readAutoSize('height'),
+  };
+
+  let containingBlock = 'flow';
+  if (style.position === 'fixed') {
+    containingBlock = 'viewport';
+  } else if (style.position === 'absolute') {
+    containingBlock = (el.offsetParent || document.body) === el.parentElement ? 'parent' : 'ancestor';
+  }
+  const positioning = {
+    position: style.position,
+    containingBlock,
+    top: readComputed('top'),
+    right: readComputed('right'),
+    bottom: readComputed('bottom'),
+    left: readComputed('left'),
+    width: readComputed('width'),
+    height: readComputed('height'),
+    marginTop: readComputed('margin-top'),
+    marginRight: readComputed('margin-right'),
+    marginBottom: readComputed('margin-bottom'),
+    marginLeft: readComputed('margin-left'),
+  };
+
+  // With --rich-text, an element whose content is only unpainted inline text-level elements becomes one Text
+  // node with styled runs instead of a subtree, so the importer can keep the browser's wrapping.
+  const RICH_TEXT_TAGS = new Set([
+    'A', 'ABBR', 'B', 'BDI', 'BDO', 'BR', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT', 'I', 'INS',
+    'KBD', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR',
+  ]);
+  const isPlainInline = (node) => {
+    const nodeStyle = window.getComputedStyle(node);
+    if (nodeStyle.display === 'none') return true;
+    if (!RICH_TEXT_TAGS.has(node.tagName) || nodeStyle.display !== 'inline') return false;
+    const painted = !isTransparentColor(nodeStyle.backgroundColor) ||
+      (nodeStyle.backgroundImage && nodeStyle.backgroundImage !== 'none') ||
+      (nodeStyle.boxShadow && nodeStyle.boxShadow !== 'none') ||
+      ['Top', 'Right', 'Bottom', 'Left'].some((side) => parseFloat(nodeStyle[`border${side}Width`]) > 0 &&
+        !['none', 'hidden'].includes(nodeStyle[`border${side}Style`]));
+    return !painted && Array.from(node.children).every(isPlainInline);
+  };
+  const buildRichText = () => {
+    if (!extractOptions || !extractOptions.richText) return null;
+    if (el.children.length === 0 || isIconGlyph || !text) return null;
+    if (!Array.from(el.children).every(isPlainInline)) return null;
+
+    const collapse = !/^pre/.test(style.whiteSpace) && style.whiteSpace !== 'break-spaces';
+    const runs = [];
+    const pushRun = (raw, owner) => {
+      let value = collapse && raw !== '\n' ? raw.replace(/[\t\n\r ]+/g, ' ') : raw;
+      const previous = runs[runs.length - 1];
+      if (collapse && value.startsWith(' ') && (!previous || /[ \n]$/.test(previous.text))) {
+        value = value.slice(1);
+      }
+      if (!value) return;
+      const ownerStyle = window.getComputedStyle(owner);
+      const link = owner.closest ? owner.closest('a') : null;
+      const physicalSize = parseCssPxToPhysical(ownerStyle.fontSize);
+      const run = {
+        text: value,
+        color: ownerStyle.color,
+        fontWeight: ownerStyle.fontWeight,
+        fontStyle: ownerStyle.fontStyle,
+        fontSize: physicalSize !== null ? `${physicalSize}px` : ownerStyle.fontSize,
+        textDecoration: ownerStyle.textDecorationLine || ownerStyle.textDecoration,
+        textTransform: ownerStyle.textTransform,
+        verticalAlign: ownerStyle.verticalAlign,
+        href: link && el.contains(link) ? link.getAttribute('href') || '' : '',
+      };
+      const sameStyle = previous && Object.keys(run).every((key) => key === 'text' || previous[key] === run[key]);
+      if (sameStyle) {
+        previous.text += run.text;
+      } else {
+        runs.push(run);
+      }
+    };
+    const walk = (owner) => {
+      for (const child of Array.from(owner.childNodes)) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          pushRun(child.textContent || '', owner);
+        } else if (child.nodeType === 1 && window.getComputedStyle(child).display !== 'none') {
+          if (child.tagName === 'BR') {
+            pushRun('\n', child);
+          } else {
+            walk(child);
+          }
+        }
+      }
+    };
+    walk(el);
+
+    if (collapse) {
+      while (runs.length > 0) {
+        const last = runs[runs.length - 1];
+        last.text = last.text.replace(/ +$/, '');
+        if (last.text) break;
+        runs.pop();
+      }
+    }
+    if (runs.length === 0) return null;
+
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const textRect = range.getBoundingClientRect();
+    return {
+      text: runs.map((run) => run.text).join(''),
+      runs,
+      rect: {
+        x: (textRect.left + window.scrollX) * devicePixelRatio,
+        y: (textRect.top + window.scrollY) * devicePixelRatio,
+        width: textRect.width * devicePixelRatio,
+        height: textRect.height * devicePixelRatio,
+      },
+    };
+  };
+
+  const richText = buildRichText();
+
+  // With --text-metrics: how the browser actually broke the text into lines, so the importer can match max lines
+  // and overflow mode.
+  const buildTextMetrics = () => {
+    if (!extractOptions || !extractOptions.textMetrics || isIconGlyph) return null;
+    const ranges = [];
+    if (richText) {
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      ranges.push(range);
+    } else {
+      for (const node of textNodes) {
+        const range = document.createRange();
+        range.selectNodeContents(node);
+        ranges.push(range);
+      }
+    }
+    const boxes = [];
+    for (const range of ranges) {
+      for (const r of range.getClientRects()) {
+        if (r.width > 0 && r.height > 0) boxes.push(r);
+      }
+    }
+    if (boxes.length === 0) return null;
+    boxes.sort((a, b) => a.top - b.top || a.left - b.left);
+
+    // Fragments on one line can differ in height (sub/sup, mixed sizes); they share a line when they overlap by half.
+    const lineBoxes = [];
+    for (const box of boxes) {
+      const line = lineBoxes.find((item) => {
+        const overlap = Math.min(item.bottom, box.bottom) - Math.max(item.top, box.top);
+        return overlap >= Math.min(item.bottom - item.top, box.height) / 2;
+      });
+      if (line) {
+        line.left = Math.min(line.left, box.left);
+        line.right = Math.max(line.right, box.right);
+        line.top = Math.min(line.top, box.top);
+        line.bottom = Math.max(line.bottom, box.bottom);
+      } else {
+        lineBoxes.push({ left: box.left, right: box.right, top: box.top, bottom: box.bottom });
+      }
+    }
+    lineBoxes.sort((a, b) => a.top - b.top);
+
+    if (!window.__bakeTextMeasure) {
+      window.__bakeTextMeasure = document.createElement('canvas').getContext('2d');
+    }
+    const measure = window.__bakeTextMeasure;
+    measure.font = [style.fontStyle, style.fontWeight, style.fontSize, style.fontFamily].join(' ');
+    // Font bounding-box metrics don't depend on the sample text.
+    const sample = measure.measureText('Hg');
+    const fontSizePx = parseFloat(style.fontSize) || 0;
+    const ascent = Number.isFinite(sample.fontBoundingBoxAscent) ? sample.fontBoundingBoxAscent : fontSizePx * 0.8;
+    const descent = Number.isFinite(sample.fontBoundingBoxDescent) ? sample.fontBoundingBoxDescent : fontSizePx * 0.2;
+
+    const lines = lineBoxes.map((line) => {
+      const height = line.bottom - line.top;
+      // Text fragment boxes span the font's ascent + descent; a taller line is centered around the base font.
+      const baseline = line.top + Math.max(0, height - ascent - descent) / 2 + ascent;
+      return {
+        x: (line.left + window.scrollX) * devicePixelRatio,
+        y: (line.top + window.scrollY) * devicePixelRatio,
+        width: (line.right - line.left) * devicePixelRatio,
+        height: height * devicePixelRatio,
+        baseline: (baseline + window.scrollY) * devicePixelRatio,
+      };
+    });
+
+    const clampValue = parseInt(style.webkitLineClamp, 10);
+    const maxLines = Number.isFinite(clampValue) && clampValue > 0 && style.display === '-webkit-box'
+      ? clampValue
+      : null;
+    const clipsX = style.overflowX !== 'visible';
+    const clipsY = style.overflowY !== 'visible';
+    let mode = 'visible';
+    if (maxLines !== null) {
+      mode = 'ellipsis';
+    } else if (clipsX && style.textOverflow === 'ellipsis') {
+      mode = 'ellipsis';
+    } else if (clipsX || clipsY) {
+      mode = 'clip';
+    }
+    const truncated = maxLines !== null
+      ? lines.length > maxLines || el.scrollHeight > el.clientHeight + 1
+      : (clipsX && el.scrollWidth > el.clientWidth + 1) || (clipsY && el.scrollHeight > el.clientHeight + 1);
+
+    return {
+      lineCount: lines.length,
+      lines,
+      ascent: ascent * devicePixelRatio,
+      descent: descent * devicePixelRatio,
+      baseline: lines[0].baseline,
+      overflow: {
+        mode,
+        maxLines,
+        wrap: !/^(nowrap|pre)$/.test(style.whiteSpace),
+        truncated,
+      },
+    };
+  };
+
+  const font = {
+    color: style.color,
+    fontSize: physicalFontSize !== null ? `${physicalFontSize}px` : style.fontSize,
+    fontFamily: style.fontFamily,
+    alignment: style.textAlign,
+    fontWeight: style.fontWeight,
+    fontStyle: style.fontStyle,
+    lineHeight: physicalLineHeight !== null ? `${physicalLineHeight}px` : style.lineHeight,
+    letterSpacing: physicalLetterSpacing !== null ? `${physicalLetterSpacing}px` : style.letterSpacing,
+    textTransform: style.textTransform,
+    textDecoration: style.textDecorationLine || style.textDecoration,
+    textShadow: style.textShadow,
+    whiteSpace: style.whiteSpace,
+    wordBreak: style.wordBreak,
+    wordSpacing: style.wordSpacing,
+    textIndent: style.textIndent,
+    textOverflow: style.textOverflow,
+    direction: style.direction,
+    textStrokeWidth: physicalTextStrokeWidth !== null ? `${physicalTextStrokeWidth}px` : style.webkitTextStrokeWidth,
+    textStrokeColor: style.webkitTextStrokeColor,
+    textFillColor: style.webkitTextFillColor,
+    textFillImage: clipsBackgroundToText ? style.backgroundImage : 'none',
+    paintOrder: style.paintOrder,
+  };
+
+  return {
+    tagName,
+    htmlTag,
+    role,
+    inputType,
+    classes,
+    attrs,
+    domPath: getDomPath(el),
+    rect: physicalRect,
+    text,
+    textRaw: rawText,
+    hasVisual,
+    hasPseudoPaint,
+    isIconGlyph,
+    isMaskLayer,
+    isVisible,
+    hasText: text.length > 0,
+    hasDirectText: directText.length > 0,
+    rotation,
+    zIndex,
+    font,
+    styles: computedStyles,
+    layoutStyles,
+    positioning,
+    scroll: buildScrollInfo(),
+    richText,
+    textMetrics: buildTextMetrics(),
+    childCount: el.children.length,
+    directText,
+    directTextRaw,
+    directTextRect,
+    rangeParts,
+  };
+}
+
 class Analyzer {
   constructor(context) {
     this.context = context;
     this.maskInfo = null;
+    this.comparison = null;
+    this._makeId = createNodeIdFactory('uuid');
   }
 
   async run(page) {
@@ -31,12 +1167,19 @@ class Analyzer {
       throw new Error('Analyzer.run requires a valid Puppeteer page instance.');
     }
 
+    const config = this.context && this.context.config ? this.context.config : {};
+    const mode = config.analyzer === 'single-pass' ? 'single-pass' : 'legacy';
+    this._makeId = createNodeIdFactory(config.idMode);
+    this.comparison = null;
+
     await this._waitForRenderStability(page);
     this.maskInfo = await this._detectMask(page);
     const rootHandle = await this._detectRoot(page);
 
     try {
-      const tree = await this._traverse(page, rootHandle, 'root', 0);
+      const tree = config.analyzerCompare
+        ? await this._traverseCompared(page, rootHandle, mode)
+        : await this._traverseWith(mode, page, rootHandle);
       if (!tree) {
         return null;
       }
@@ -83,6 +1226,56 @@ class Analyzer {
     }
   }
 
+  async materializePseudoElements(page) {
+    if (!page) {
+      throw new Error('Analyzer.materializePseudoElements requires a valid Puppeteer page instance.');
+    }
+    return page.evaluate(materializePseudoElementsInPage);
+  }
+
+  async restoreBakeIds(page, tree) {
+    if (!page) {
+      throw new Error('Analyzer.restoreBakeIds requires a valid Puppeteer page instance.');
+    }
+
+    // Resumed runs skip traversal, so re-tag the live DOM from the persisted domPaths.
+    const entries = [];
+    const collect = (node) => {
+      if (!node) return;
+      const domPath = typeof node.domPath === 'string' ? node.domPath : '';
+      if (node.id && domPath && !domPath.includes('::')) {
+        entries.push({ id: node.id, domPath });
+      }
+      const children = Array.isArray(node.children) ? node.children : [];
+      for (const child of children) {
+        collect(child);
+      }
+    };
+    collect(tree);
+
+    await this._waitForRenderStability(page);
+    this.maskInfo = await this._detectMask(page);
+    return page.evaluate((items) => {
+      const missing = [];
+      let restored = 0;
+      for (const item of items) {
+        let el = null;
+        try {
+          el = document.documentElement.querySelector(`:scope > ${item.domPath}`);
+        } catch (_) {
+          el = null;
+        }
+        if (!el) {
+          missing.push(item.id);
+          continue;
+        }
+        el.setAttribute('data-bake-id', item.id);
+        restored += 1;
+      }
+      return { restored, missing };
+    }, entries);
+  }
+
   async _waitForRenderStability(page) {
     const config = this.context && this.context.config ? this.context.config : {};
     const fontsReadyTimeoutMs = this._toPositiveInt(config.fontsReadyTimeoutMs, 2500);
@@ -270,26 +1463,162 @@ class Analyzer {
     });
   }
 
+  _traverseWith(mode, page, rootHandle) {
+    return mode === 'single-pass'
+      ? this._traverseSinglePass(page, rootHandle)
+      : this._traverse(page, rootHandle, 'root', 0);
+  }
+
+  // Runs the other analyzer first so the DOM ends up tagged with ids from the selected one.
+  async _traverseCompared(page, rootHandle, mode) {
+    const config = this.context && this.context.config ? this.context.config : {};
+    const otherMode = mode === 'single-pass' ? 'legacy' : 'single-pass';
+    const durationsMs = {};
+    const timedTraverse = async (target) => {
+      this._makeId = createNodeIdFactory(config.idMode);
+      const startedAt = Date.now();
+      const result = await this._traverseWith(target, page, rootHandle);
+      durationsMs[target] = Date.now() - startedAt;
+      return result;
+    };
+
+    const otherTree = await timedTraverse(otherMode);
+    const tree = await timedTraverse(mode);
+    const differences = diffAnalysisTrees(tree, otherTree);
+    this.comparison = {
+      analyzer: mode,
+      comparedWith: otherMode,
+      identical: differences.length === 0,
+      differenceCount: differences.length,
+      differences: differences.slice(0, MAX_COMPARE_DIFFERENCES),
+      durationsMs,
+    };
+    return tree;
+  }
+
   async _traverse(page, handle, parentId, childIndex = 0) {
     const info = await this._extractNodeInfo(handle);
+    const node = this._buildNode(info, parentId, childIndex);
+    if (!node) {
+      return null;
+    }
+
+    await this._safeEvaluateOnHandle(
+      handle,
+      'Analyzer._traverse.setBakeId',
+      (el, bakeId) => {
+        el.setAttribute('data-bake-id', bakeId);
+      },
+      node.id,
+    );
+    if (node.type === 'Text' || info.richText) {
+      return node;
+    }
+
+    const childHandles = await handle.$$(':scope > *');
+    childHandles.reverse();
+    for (let idx = 0; idx < childHandles.length; idx += 1) {
+      const childHandle = childHandles[idx];
+      const domOrder = childHandles.length - 1 - idx;
+      if (isAtomicImageTag(info.tagName)) {
+        await childHandle.dispose();
+        continue;
+      }
+
+      const childNode = await this._traverse(page, childHandle, node.id, domOrder);
+      if (childNode) {
+        node.children.push(childNode);
+      }
+      await childHandle.dispose();
+    }
+
+    if (info.text) {
+      node.text = info.text;
+    }
+
+    return node;
+  }
+
+  // Same tree as _traverse, but the DOM is read in one evaluate and ids are written back in one more.
+  async _traverseSinglePass(page, rootHandle) {
+    const extractor = await page.evaluateHandle(`(${extractNodeInfoInPage.toString()})`);
+    let collected = null;
+    try {
+      collected = await rootHandle.evaluateHandle(
+        collectNodesInPage,
+        extractor,
+        this._getDpr(),
+        ATOMIC_IMAGE_TAGS,
+        this._getExtractOptions(),
+      );
+      const entries = await collected.evaluate((result) => result.entries);
+      const ids = new Array(entries.length).fill(null);
+      const tree = this._buildFromEntries(entries, 0, 'root', 0, ids);
+      await collected.evaluate((result, bakeIds) => {
+        bakeIds.forEach((bakeId, index) => {
+          if (bakeId) result.elements[index].setAttribute('data-bake-id', bakeId);
+        });
+      }, ids);
+      return tree;
+    } catch (error) {
+      const message = error && error.message ? error.message : String(error);
+      throw new Error(`[Analyzer._traverseSinglePass] ${message}`);
+    } finally {
+      if (collected) await collected.dispose();
+      await extractor.dispose();
+    }
+  }
+
+  _buildFromEntries(entries, index, parentId, childIndex, ids) {
+    const entry = entries[index];
+    const info = entry ? entry.info : null;
+    const node = this._buildNode(info, parentId, childIndex);
+    if (!node) {
+      return null;
+    }
+
+    ids[index] = node.id;
+    if (node.type === 'Text' || info.richText) {
+      return node;
+    }
+
+    for (const child of entry.children) {
+      const childNode = this._buildFromEntries(entries, child.index, node.id, child.childIndex, ids);
+      if (childNode) {
+        node.children.push(childNode);
+      }
+    }
+
+    if (info.text) {
+      node.text = info.text;
+    }
+
+    return node;
+  }
+
+  // Turns extracted info into a node (plus its synthetic text/range children); null when it is not baked.
+  _buildNode(info, parentId, childIndex) {
     if (!info || !info.isVisible) {
       return null;
     }
 
     const isRootBody = info.tagName === 'BODY';
     const isMaskLayer = info.isMaskLayer === true;
-    const isAtomicImageTag = ['IMG', 'SVG', 'CANVAS', 'VIDEO', 'PICTURE'].includes(info.tagName);
+    const isAtomicImage = isAtomicImageTag(info.tagName);
     const isRangeInput = info.htmlTag === 'input' && info.inputType === 'range';
     const hasRangeParts = isRangeInput && Array.isArray(info.rangeParts) && info.rangeParts.length > 0;
-    const isVisual = info.hasVisual || isAtomicImageTag || info.isIconGlyph;
+    const isVisual = info.hasVisual || isAtomicImage || info.isIconGlyph;
 
     let type = 'Container';
     if (isRootBody || isMaskLayer) {
       type = 'Container';
     } else if (hasRangeParts) {
       type = 'Container';
-    } else if (isAtomicImageTag || info.isIconGlyph) {
+    } else if (isAtomicImage || info.isIconGlyph) {
       type = 'Image';
+    } else if (info.richText) {
+      // A painted paragraph is captured with its children hidden and keeps the runs on a Text child.
+      type = isVisual ? 'Container' : 'Text';
     } else if (info.childCount > 0) {
       type = 'Container';
     } else if (isVisual) {
@@ -300,16 +1629,13 @@ class Analyzer {
       return null;
     }
 
-    const id = createId();
-    await this._safeEvaluateOnHandle(
-      handle,
-      'Analyzer._traverse.setBakeId',
-      (el, bakeId) => {
-        el.setAttribute('data-bake-id', bakeId);
-      },
-      id,
-    );
-
+    const id = this._makeId({
+      kind: 'node',
+      tagName: info.tagName,
+      domPath: info.domPath || '',
+      classes: Array.isArray(info.classes) ? info.classes : [],
+      text: info.directTextRaw || info.directText || '',
+    });
     const node = {
       id,
       parentId,
@@ -324,9 +1650,13 @@ class Analyzer {
       domPath: info.domPath,
       rect: info.rect,
       styles: info.styles,
+      layoutStyles: info.layoutStyles,
+      positioning: info.positioning,
+      scroll: info.scroll || null,
       zIndex: info.zIndex,
       visual: {
         hasVisual: hasRangeParts ? false : !!info.hasVisual,
+        hasPseudoPaint: !!info.hasPseudoPaint,
         isMask: !!info.isMaskLayer,
         isIconGlyph: !!info.isIconGlyph,
       },
@@ -334,15 +1664,59 @@ class Analyzer {
       children: [],
     };
 
+    if (info.tagName === 'BAKE-PSEUDO') {
+      const marker = (info.attrs || []).find((attr) => attr && attr.key === 'data-pseudo-element');
+      node.pseudoElement = { name: marker ? marker.value : '', hostId: parentId };
+    }
+
     if (type === 'Text') {
-      node.text = info.directTextRaw || info.directText || info.textRaw || info.text || '';
+      node.text = info.richText
+        ? info.richText.text
+        : info.directTextRaw || info.directText || info.textRaw || info.text || '';
       node.style = info.font || null;
+      if (info.richText) node.richText = { runs: info.richText.runs };
+      node.textMetrics = info.textMetrics || null;
       return node;
     }
 
-    if (type !== 'Text' && info.hasDirectText && info.directTextRect && !info.isIconGlyph) {
+    if (info.richText) {
+      node.children.push({
+        id: this._makeId({
+          kind: 'richText',
+          parentId: id,
+          text: info.richText.text,
+        }),
+        parentId: id,
+        childIndex: -1,
+        type: 'Text',
+        tagName: '#TEXT',
+        htmlTag: '#text',
+        classes: [],
+        attrs: [],
+        domPath: `${info.domPath || ''}::text`,
+        rect: info.richText.rect,
+        styles: {
+          font: info.font,
+        },
+        style: info.font || null,
+        visual: {
+          hasVisual: false,
+          isMask: false,
+          isIconGlyph: false,
+        },
+        rotation: info.rotation,
+        text: info.richText.text,
+        richText: { runs: info.richText.runs },
+        textMetrics: info.textMetrics || null,
+        children: [],
+      });
+    } else if (info.hasDirectText && info.directTextRect && !info.isIconGlyph) {
       node.children.push({
-        id: createId(),
+        id: this._makeId({
+          kind: 'directText',
+          parentId: id,
+          text: info.directTextRaw || info.directText || '',
+        }),
         parentId: id,
         childIndex: -1,
         type: 'Text',
@@ -363,6 +1737,7 @@ class Analyzer {
         },
         rotation: info.rotation,
         text: info.directTextRaw || info.directText,
+        textMetrics: info.textMetrics || null,
         children: [],
       });
     }
@@ -373,7 +1748,11 @@ class Analyzer {
         const part = rangeParts[idx];
         if (!part || !part.rect) continue;
         node.children.push({
-          id: createId(),
+          id: this._makeId({
+            kind: 'rangePart',
+            parentId: id,
+            part: part.name || String(idx),
+          }),
           parentId: id,
           childIndex: -(100 + idx),
           type: 'Image',
@@ -408,648 +1787,30 @@ class Analyzer {
       }
     }
 
-    const childHandles = await handle.$$(':scope > *');
-    childHandles.reverse();
-    for (let idx = 0; idx < childHandles.length; idx += 1) {
-      const childHandle = childHandles[idx];
-      const domOrder = childHandles.length - 1 - idx;
-      if (isAtomicImageTag) {
-        await childHandle.dispose();
-        continue;
-      }
-
-      const childNode = await this._traverse(page, childHandle, id, domOrder);
-      if (childNode) {
-        node.children.push(childNode);
-      }
-      await childHandle.dispose();
-    }
-
-    if (info.text) {
-      node.text = info.text;
-    }
-
     return node;
   }
 
   async _extractNodeInfo(handle) {
-    const dpr = this._getDpr();
     return this._safeEvaluateOnHandle(
       handle,
       'Analyzer._extractNodeInfo',
-      (el, devicePixelRatio) => {
-        const tagName = el.tagName ? el.tagName.toUpperCase() : '';
-        const htmlTag = tagName ? tagName.toLowerCase() : '';
-        const style = window.getComputedStyle(el);
-        const rect = el.getBoundingClientRect();
-        const rawText = el.textContent || '';
-        const text = rawText.trim();
-        const className =
-          typeof el.className === 'string'
-            ? el.className
-            : typeof el.getAttribute === 'function'
-              ? el.getAttribute('class') || ''
-              : '';
-        const hasMaterialIconClass = /(?:^|\s)(?:material-symbols(?:-(?:outlined|rounded|sharp))?|material-icons(?:-(?:outlined|round|sharp|two-tone))?)(?:\s|$)/i.test(className);
-        const fontFamilyLower = (style.fontFamily || '').toLowerCase();
-        const hasMaterialIconFont =
-          fontFamilyLower.includes('material symbols') || fontFamilyLower.includes('material icons');
-        const isIconGlyph = hasMaterialIconClass || hasMaterialIconFont;
-        const isMaskLayer = el.getAttribute && el.getAttribute('data-bake-mask') === '1';
-        const classes = (className || '')
-          .split(/\s+/)
-          .map((item) => item.trim())
-          .filter((item) => item.length > 0);
-
-        const getAttr = (name) => {
-          if (typeof el.getAttribute !== 'function') return '';
-          const value = el.getAttribute(name);
-          return value == null ? '' : String(value);
-        };
-
-        const pushAttr = (list, key, value) => {
-          const normalizedKey = (key || '').trim();
-          if (!normalizedKey || value == null) return;
-          const normalizedValue = String(value).trim();
-          if (!normalizedValue) return;
-          const exists = list.some((item) => item && item.key === normalizedKey);
-          if (!exists) {
-            list.push({ key: normalizedKey, value: normalizedValue });
-          }
-        };
-
-        const attrs = [];
-        const attrWhitelist = [
-          'id',
-          'name',
-          'type',
-          'role',
-          'placeholder',
-          'value',
-          'href',
-          'src',
-          'alt',
-          'title',
-          'for',
-          'aria-label',
-          'aria-labelledby',
-          'aria-describedby',
-          'data-action',
-          'data-cs-click',
-          'data-cs-change',
-          'data-cs-input',
-        ];
-
-        for (const attrName of attrWhitelist) {
-          pushAttr(attrs, attrName, getAttr(attrName));
-        }
-
-        const boolAttrs = ['checked', 'disabled', 'readonly', 'required', 'selected'];
-        if (typeof el.hasAttribute === 'function') {
-          for (const attrName of boolAttrs) {
-            if (el.hasAttribute(attrName)) {
-              pushAttr(attrs, attrName, 'true');
-            }
-          }
-        }
-
-        if (el.attributes) {
-          for (const rawAttr of Array.from(el.attributes)) {
-            if (!rawAttr || !rawAttr.name) continue;
-            if (/^data-ui-/i.test(rawAttr.name)) {
-              pushAttr(attrs, rawAttr.name, rawAttr.value);
-            }
-          }
-        }
-
-        const role = getAttr('role');
-        const inputType = htmlTag === 'input'
-          ? ((getAttr('type') || 'text').trim().toLowerCase() || 'text')
-          : '';
-        const isRangeInput = htmlTag === 'input' && inputType === 'range';
-
-        const toNumber = (value, fallback = 0) => {
-          const parsed = Number(value);
-          return Number.isFinite(parsed) ? parsed : fallback;
-        };
-
-        const parsePx = (value, fallback = 0) => {
-          if (!value || value === 'normal') return fallback;
-          const match = String(value).match(/(-?\d*\.?\d+)px/);
-          if (!match) return fallback;
-          const parsed = parseFloat(match[1]);
-          return Number.isFinite(parsed) ? parsed : fallback;
-        };
-
-        const parseZIndex = (value) => {
-          if (!value || value === 'auto') return 0;
-          const parsed = parseFloat(value);
-          return Number.isFinite(parsed) ? parsed : 0;
-        };
-
-        const parseRotation = (transform) => {
-          if (!transform || transform === 'none') return 0;
-
-          const matrix3d = transform.match(/matrix3d\(([^)]+)\)/);
-          if (matrix3d) {
-            const values = matrix3d[1].split(',').map((v) => parseFloat(v.trim()));
-            const a = values[0];
-            const b = values[1];
-            const angle = Math.atan2(b, a) * (180 / Math.PI);
-            return Number.isFinite(angle) ? angle : 0;
-          }
-
-          const matrix2d = transform.match(/matrix\(([^)]+)\)/);
-          if (matrix2d) {
-            const values = matrix2d[1].split(',').map((v) => parseFloat(v.trim()));
-            const a = values[0];
-            const b = values[1];
-            const angle = Math.atan2(b, a) * (180 / Math.PI);
-            return Number.isFinite(angle) ? angle : 0;
-          }
-
-          const rotate = transform.match(/rotate\(([^)]+)\)/);
-          if (rotate) {
-            const raw = rotate[1].trim();
-            if (raw.endsWith('deg')) return parseFloat(raw);
-            if (raw.endsWith('rad')) return parseFloat(raw) * (180 / Math.PI);
-          }
-
-          return 0;
-        };
-
-        const rotation = parseRotation(style.transform);
-
-        const isTransparentColor = (color) => {
-          if (!color) return true;
-          if (color === 'transparent') return true;
-          const match = color.match(/rgba?\(([^)]+)\)/i);
-          if (!match) return false;
-          const parts = match[1].split(',').map((p) => p.trim());
-          if (parts.length < 4) return false;
-          const alpha = parseFloat(parts[3]);
-          return Number.isFinite(alpha) && alpha === 0;
-        };
-
-        const hasBackgroundColor = !isTransparentColor(style.backgroundColor);
-        const hasBackgroundImage = style.backgroundImage && style.backgroundImage !== 'none';
-        const hasBorder = ['Top', 'Right', 'Bottom', 'Left'].some((side) => {
-          const width = parseFloat(style[`border${side}Width`]);
-          const borderStyle = style[`border${side}Style`];
-          return width > 0 && borderStyle !== 'none' && borderStyle !== 'hidden';
-        });
-        const hasBoxShadow = style.boxShadow && style.boxShadow !== 'none';
-        const hasVisual = hasBackgroundColor || hasBackgroundImage || hasBorder || hasBoxShadow || isRangeInput;
-
-        const transitionProperty = (style.transitionProperty || '').toLowerCase();
-        const hasVisibilityTransition =
-          transitionProperty.includes('all') || transitionProperty.includes('visibility');
-        const hasExplicitHiddenClass = /(?:^|\s)(?:hidden|invisible|sr-only|collapse)(?:\s|$)/i.test(className);
-        const hasExplicitHiddenAttr =
-          (typeof el.hasAttribute === 'function' && el.hasAttribute('hidden')) ||
-          (typeof el.getAttribute === 'function' && el.getAttribute('aria-hidden') === 'true');
-        const transientHidden =
-          style.visibility === 'hidden' &&
-          hasVisibilityTransition &&
-          !hasExplicitHiddenClass &&
-          !hasExplicitHiddenAttr;
-
-        const isVisible =
-          style.display !== 'none' &&
-          (style.visibility !== 'hidden' || transientHidden) &&
-          parseFloat(style.opacity || '1') !== 0 &&
-          rect.width > 0 &&
-          rect.height > 0;
-
-        const textNodes = Array.from(el.childNodes).filter(
-          (node) => node.nodeType === Node.TEXT_NODE && (node.textContent || '').trim().length > 0,
-        );
-
-        let directText = '';
-        let directTextRaw = '';
-        let directTextRect = null;
-        if (textNodes.length > 0) {
-          directTextRaw = textNodes.map((node) => node.textContent).join('');
-          directText = directTextRaw.trim();
-
-          let minX = Infinity;
-          let minY = Infinity;
-          let maxX = -Infinity;
-          let maxY = -Infinity;
-
-          for (const node of textNodes) {
-            const range = document.createRange();
-            range.selectNodeContents(node);
-            const rects = range.getClientRects();
-            for (const r of rects) {
-              minX = Math.min(minX, r.left);
-              minY = Math.min(minY, r.top);
-              maxX = Math.max(maxX, r.right);
-              maxY = Math.max(maxY, r.bottom);
-            }
-          }
-
-          if (Number.isFinite(minX)) {
-            directTextRect = {
-              x: (minX + window.scrollX) * devicePixelRatio,
-              y: (minY + window.scrollY) * devicePixelRatio,
-              width: (maxX - minX) * devicePixelRatio,
-              height: (maxY - minY) * devicePixelRatio,
-            };
-          }
-        }
-
-        const parseCssPxToPhysical = (cssValue) => {
-          if (!cssValue || cssValue === 'normal') return null;
-          const match = cssValue.match(/(-?\d*\.?\d+)px/);
-          if (match) {
-            return parseFloat(match[1]) * devicePixelRatio;
-          }
-          return null;
-        };
-
-        const getDomPath = (node) => {
-          if (!node || node.nodeType !== 1) return '';
-          const parts = [];
-          let current = node;
-          while (current && current.nodeType === 1 && current !== document.documentElement) {
-            const tag = current.tagName.toLowerCase();
-            let index = 1;
-            let sibling = current;
-            while (sibling.previousElementSibling) {
-              sibling = sibling.previousElementSibling;
-              if (sibling.tagName === current.tagName) index += 1;
-            }
-            const sameTagCount = current.parentElement
-              ? Array.from(current.parentElement.children).filter((c) => c.tagName === current.tagName).length
-              : 0;
-            const part = sameTagCount > 1 ? `${tag}:nth-of-type(${index})` : tag;
-            parts.unshift(part);
-            current = current.parentElement;
-          }
-          return parts.join(' > ');
-        };
-
-        const physicalRect = {
-          x: (rect.left + window.scrollX) * devicePixelRatio,
-          y: (rect.top + window.scrollY) * devicePixelRatio,
-          width: rect.width * devicePixelRatio,
-          height: rect.height * devicePixelRatio,
-        };
-
-        const buildRangeParts = () => {
-          if (!isRangeInput || rect.width <= 0 || rect.height <= 0) return [];
-          const splitSelectorList = (selectorText) => {
-            const text = String(selectorText || '');
-            const list = [];
-            let current = '';
-            let parenDepth = 0;
-            let bracketDepth = 0;
-            for (let i = 0; i < text.length; i += 1) {
-              const ch = text[i];
-              if (ch === '(') parenDepth += 1;
-              if (ch === ')') parenDepth = Math.max(0, parenDepth - 1);
-              if (ch === '[') bracketDepth += 1;
-              if (ch === ']') bracketDepth = Math.max(0, bracketDepth - 1);
-              if (ch === ',' && parenDepth === 0 && bracketDepth === 0) {
-                if (current.trim()) list.push(current.trim());
-                current = '';
-              } else {
-                current += ch;
-              }
-            }
-            if (current.trim()) list.push(current.trim());
-            return list;
-          };
-
-          const collectPseudoRuleStyle = (pseudoName) => {
-            const merged = {};
-            const pseudoToken = `::${pseudoName}`;
-            const applyRuleStyle = (styleDecl) => {
-              if (!styleDecl) return;
-              for (let i = 0; i < styleDecl.length; i += 1) {
-                const prop = styleDecl[i];
-                const value = styleDecl.getPropertyValue(prop);
-                if (!prop || !value) continue;
-                merged[String(prop).toLowerCase()] = String(value).trim();
-              }
-            };
-            const matchSelector = (selectorText) => {
-              const selectors = splitSelectorList(selectorText);
-              for (const selector of selectors) {
-                if (!selector || !selector.includes(pseudoToken)) continue;
-                const idx = selector.indexOf(pseudoToken);
-                const baseSelector = `${selector.slice(0, idx)}${selector.slice(idx + pseudoToken.length)}`.trim();
-                if (!baseSelector) return true;
-                try {
-                  if (el.matches(baseSelector)) return true;
-                } catch (_) {
-                  // ignore invalid selector fragments
-                }
-              }
-              return false;
-            };
-            const walkRules = (rules) => {
-              if (!rules) return;
-              for (const rule of Array.from(rules)) {
-                if (!rule) continue;
-                if (rule.type === CSSRule.STYLE_RULE) {
-                  if (matchSelector(rule.selectorText || '')) {
-                    applyRuleStyle(rule.style);
-                  }
-                  continue;
-                }
-                if (rule.cssRules) {
-                  walkRules(rule.cssRules);
-                }
-              }
-            };
-            for (const sheet of Array.from(document.styleSheets || [])) {
-              try {
-                walkRules(sheet.cssRules);
-              } catch (_) {
-                // ignore cross-origin/inaccessible style sheets
-              }
-            }
-            return merged;
-          };
-
-          const parseBorderWidth = (styleMap, side) => {
-            const sideKey = `border-${side}-width`;
-            const sideValue = parsePx(styleMap[sideKey], NaN);
-            if (Number.isFinite(sideValue)) return Math.max(0, sideValue);
-            const borderValue = String(styleMap.border || '').trim();
-            const borderMatch = borderValue.match(/(-?\d*\.?\d+)px/);
-            if (!borderMatch) return 0;
-            const parsed = parseFloat(borderMatch[1]);
-            return Number.isFinite(parsed) ? Math.max(0, parsed) : 0;
-          };
-
-          const parseBoxShadowPad = (boxShadow) => {
-            if (!boxShadow || boxShadow === 'none') return 0;
-            const parts = [];
-            let depth = 0;
-            let current = '';
-            for (const ch of String(boxShadow)) {
-              if (ch === '(') depth += 1;
-              if (ch === ')') depth = Math.max(0, depth - 1);
-              if (ch === ',' && depth === 0) {
-                parts.push(current);
-                current = '';
-              } else {
-                current += ch;
-              }
-            }
-            if (current.trim()) parts.push(current);
-
-            let maxPad = 0;
-            for (const part of parts) {
-              if (/\binset\b/i.test(part)) continue;
-              const values = part.match(/-?\d*\.?\d+px/g) || [];
-              const nums = values.map((v) => parseFloat(v));
-              const offsetX = nums[0] || 0;
-              const offsetY = nums[1] || 0;
-              const blur = nums[2] || 0;
-              const spread = nums[3] || 0;
-              const pad = Math.max(Math.abs(offsetX), Math.abs(offsetY)) + blur + spread;
-              if (pad > maxPad) maxPad = pad;
-            }
-            return maxPad;
-          };
-
-          const isTransparentColor = (value) => {
-            if (!value) return true;
-            const normalized = String(value).trim().toLowerCase();
-            return normalized === 'transparent' ||
-              normalized === 'rgba(0, 0, 0, 0)' ||
-              normalized === 'rgba(0,0,0,0)';
-          };
-
-          const resolvePseudoStyle = (pseudoName, props) => {
-            const computed = window.getComputedStyle(el, `::${pseudoName}`);
-            const computedMap = {};
-            for (const prop of props) {
-              const key = String(prop).toLowerCase();
-              computedMap[key] = computed.getPropertyValue(key) || '';
-            }
-            const ruleMap = collectPseudoRuleStyle(pseudoName);
-
-            const computedWidth = parsePx(computedMap.width, NaN);
-            const computedHeight = parsePx(computedMap.height, NaN);
-            const borderSum = parseBorderWidth(computedMap, 'top') +
-              parseBorderWidth(computedMap, 'right') +
-              parseBorderWidth(computedMap, 'bottom') +
-              parseBorderWidth(computedMap, 'left');
-            const noVisualPaint = isTransparentColor(computedMap['background-color']) &&
-              (!computedMap['background-image'] || computedMap['background-image'] === 'none') &&
-              borderSum <= 0.01 &&
-              parseBoxShadowPad(computedMap['box-shadow']) <= 0.01;
-            const looksLikeInputRect = Number.isFinite(computedWidth) &&
-              Number.isFinite(computedHeight) &&
-              Math.abs(computedWidth - rect.width) <= 0.5 &&
-              Math.abs(computedHeight - rect.height) <= 0.5;
-            const useRuleFallback = looksLikeInputRect && noVisualPaint;
-
-            const resolved = {};
-            for (const prop of props) {
-              const key = String(prop).toLowerCase();
-              const computedValue = computedMap[key] || '';
-              const ruleValue = ruleMap[key] || '';
-              resolved[key] = useRuleFallback
-                ? (ruleValue || computedValue)
-                : (computedValue || ruleValue);
-            }
-            return resolved;
-          };
-
-          const trackStyle = resolvePseudoStyle('-webkit-slider-runnable-track', [
-            'width',
-            'height',
-            'border',
-            'border-top-width',
-            'border-right-width',
-            'border-bottom-width',
-            'border-left-width',
-            'box-shadow',
-            'margin-top',
-            'background',
-            'background-color',
-            'background-image',
-          ]);
-          const thumbStyle = resolvePseudoStyle('-webkit-slider-thumb', [
-            'width',
-            'height',
-            'border',
-            'border-top-width',
-            'border-right-width',
-            'border-bottom-width',
-            'border-left-width',
-            'box-shadow',
-            'margin-top',
-            'background',
-            'background-color',
-            'background-image',
-          ]);
-
-          const min = toNumber(el.min, 0);
-          const max = toNumber(el.max, 100);
-          const value = toNumber(el.value, min);
-          const span = Math.max(0.0001, max - min);
-          const ratio = Math.min(1, Math.max(0, (value - min) / span));
-
-          const trackHeightRaw = parsePx(trackStyle.height, rect.height);
-          const trackBorderTop = parseBorderWidth(trackStyle, 'top');
-          const trackBorderBottom = parseBorderWidth(trackStyle, 'bottom');
-          const trackBorderLeft = parseBorderWidth(trackStyle, 'left');
-          const trackBorderRight = parseBorderWidth(trackStyle, 'right');
-          const trackHeight = Math.max(1, trackHeightRaw + trackBorderTop + trackBorderBottom);
-          const trackWidth = Math.max(1, rect.width);
-          const trackX = rect.left;
-          const trackY = rect.top + (rect.height - trackHeight) / 2;
-
-          const thumbWidth = Math.max(1, parsePx(thumbStyle.width, NaN));
-          const thumbHeight = Math.max(1, parsePx(thumbStyle.height, NaN));
-          const thumbBorderTop = parseBorderWidth(thumbStyle, 'top');
-          const thumbBorderBottom = parseBorderWidth(thumbStyle, 'bottom');
-          const thumbBorderLeft = parseBorderWidth(thumbStyle, 'left');
-          const thumbBorderRight = parseBorderWidth(thumbStyle, 'right');
-
-          let resolvedThumbWidth = thumbWidth;
-          let resolvedThumbHeight = thumbHeight;
-          const fallbackThumbWidth = Math.max(8, (trackHeightRaw > 0 ? trackHeightRaw : trackHeight) * 2);
-          const fallbackThumbHeight = Math.max(12, (trackHeightRaw > 0 ? trackHeightRaw : trackHeight) * 3);
-          if (!Number.isFinite(resolvedThumbWidth) || resolvedThumbWidth <= 0 || resolvedThumbWidth >= trackWidth * 0.8) {
-            resolvedThumbWidth = fallbackThumbWidth;
-          }
-          if (!Number.isFinite(resolvedThumbHeight) || resolvedThumbHeight <= 0 || resolvedThumbHeight >= Math.max(rect.height * 4, trackHeight * 6)) {
-            resolvedThumbHeight = fallbackThumbHeight;
-          }
-          resolvedThumbWidth += thumbBorderLeft + thumbBorderRight;
-          resolvedThumbHeight += thumbBorderTop + thumbBorderBottom;
-
-          const thumbMarginTop = parsePx(thumbStyle['margin-top'], 0);
-          const safeThumbMarginTop =
-            Number.isFinite(thumbMarginTop) && Math.abs(thumbMarginTop) <= Math.max(rect.height * 4, trackHeight * 6)
-              ? thumbMarginTop
-              : 0;
-          const hasExplicitThumbMarginTop = Number.isFinite(thumbMarginTop) && Math.abs(thumbMarginTop) > 0.001;
-          // In Chromium, range thumb vertical placement follows margin-top semantics
-          // more closely than pure center alignment when author CSS sets margin-top.
-          const trackContentTop = rect.top + (rect.height - trackHeightRaw) / 2 + trackBorderTop;
-          const thumbTravel = Math.max(0, trackWidth - trackBorderLeft - trackBorderRight - resolvedThumbWidth);
-          const thumbX = trackX + trackBorderLeft + ratio * thumbTravel;
-          const thumbY = hasExplicitThumbMarginTop
-            ? (trackContentTop + safeThumbMarginTop)
-            : (trackY + (trackHeight - resolvedThumbHeight) / 2);
-
-          const trackShadowPad = parseBoxShadowPad(trackStyle['box-shadow']);
-          const thumbShadowPad = parseBoxShadowPad(thumbStyle['box-shadow']);
-
-          const toPhysicalRect = (x, y, width, height, shadowPad = 0) => ({
-            x: (x - shadowPad + window.scrollX) * devicePixelRatio,
-            y: (y - shadowPad + window.scrollY) * devicePixelRatio,
-            width: Math.max(1, (width + shadowPad * 2) * devicePixelRatio),
-            height: Math.max(1, (height + shadowPad * 2) * devicePixelRatio),
-          });
-
-          return [
-            {
-              name: 'track',
-              rect: toPhysicalRect(trackX, trackY, trackWidth, trackHeight, trackShadowPad),
-            },
-            {
-              name: 'thumb',
-              rect: toPhysicalRect(thumbX, thumbY, resolvedThumbWidth, resolvedThumbHeight, thumbShadowPad),
-            },
-          ];
-        };
-
-        const rangeParts = buildRangeParts();
-        const zIndex = parseZIndex(style.zIndex);
-
-        const physicalFontSize = parseCssPxToPhysical(style.fontSize);
-        const physicalLineHeight = parseCssPxToPhysical(style.lineHeight);
-        const physicalLetterSpacing = parseCssPxToPhysical(style.letterSpacing);
-
-        const computedStyles = {
-          background: style.background,
-          backgroundColor: style.backgroundColor,
-          backgroundImage: style.backgroundImage,
-          border: style.border,
-          borderRadius: style.borderRadius,
-          boxShadow: style.boxShadow,
-          filter: style.filter,
-          opacity: style.opacity,
-          display: style.display,
-          visibility: style.visibility,
-          position: style.position,
-          zIndex: style.zIndex,
-          transform: style.transform,
-          transformOrigin: style.transformOrigin,
-          overflow: style.overflow,
-          overflowX: style.overflowX,
-          overflowY: style.overflowY,
-          pointerEvents: style.pointerEvents,
-          mixBlendMode: style.mixBlendMode,
-          clipPath: style.clipPath,
-          maskImage: style.maskImage,
-          mask: style.mask,
-          backdropFilter: style.backdropFilter,
-          webkitBackdropFilter: style.webkitBackdropFilter,
-        };
-
-        const font = {
-          color: style.color,
-          fontSize: physicalFontSize !== null ? `${physicalFontSize}px` : style.fontSize,
-          fontFamily: style.fontFamily,
-          alignment: style.textAlign,
-          fontWeight: style.fontWeight,
-          fontStyle: style.fontStyle,
-          lineHeight: physicalLineHeight !== null ? `${physicalLineHeight}px` : style.lineHeight,
-          letterSpacing: physicalLetterSpacing !== null ? `${physicalLetterSpacing}px` : style.letterSpacing,
-          textTransform: style.textTransform,
-          textDecoration: style.textDecorationLine || style.textDecoration,
-          textShadow: style.textShadow,
-          whiteSpace: style.whiteSpace,
-          wordBreak: style.wordBreak,
-          wordSpacing: style.wordSpacing,
-          textIndent: style.textIndent,
-          textOverflow: style.textOverflow,
-          direction: style.direction,
-        };
-
-        return {
-          tagName,
-          htmlTag,
-          role,
-          inputType,
-          classes,
-          attrs,
-          domPath: getDomPath(el),
-          rect: physicalRect,
-          text,
-          textRaw: rawText,
-          hasVisual,
-          isIconGlyph,
-          isMaskLayer,
-          isVisible,
-          hasText: text.length > 0,
-          hasDirectText: directText.length > 0,
-          rotation,
-          zIndex,
-          font,
-          styles: computedStyles,
-          childCount: el.children.length,
-          directText,
-          directTextRaw,
-          directTextRect,
-          rangeParts,
-        };
-      },
-      dpr,
+      extractNodeInfoInPage,
+      this._getDpr(),
+      this._getExtractOptions(),
     );
   }
 
+  _getExtractOptions() {
+    const config = this.context && this.context.config ? this.context.config : {};
+    const decorativeText = config.decorativeText && typeof config.decorativeText === 'object' ? config.decorativeText : {};
+    const policies = [decorativeText.policy].concat(Object.values(decorativeText.rules || {}));
+    return {
+      richText: config.richText === true,
+      textMetrics: config.textMetrics === true,
+      bakeDecorativeText: policies.some((policy) => policy === 'image' || policy === 'both'),
+    };
+  }
+
   _getDpr() {
     const raw = this.context && this.context.config ? this.context.config.dpr : 1;
     const dpr = Number(raw);
@@ -13,6 +13,11 @@ const fs = resolveFsExtra();
 class Assembler {
   constructor(context) {
     this.context = context;
+    this._atlasSprites = {};
+    this._imageAliases = {};
+    this._nineSlices = {};
+    this._fills = new Map();
+    this._dpr = 1;
   }
 
   async run(analysisRoot, planTasks, bakeResult = null) {
@@ -20,6 +25,7 @@ class Assembler {
     const outputDir = config.outputDir || path.resolve(process.cwd(), 'output');
     await fs.ensureDir(outputDir);
 
+    this._imageAliases = bakeResult && bakeResult.dedupe && bakeResult.dedupe.aliases ? bakeResult.dedupe.aliases : {};
     const imageMap = new Map();
     const captureMap = new Map();
     const tasks = Array.isArray(planTasks) ? planTasks : [];
@@ -27,11 +33,31 @@ class Assembler {
       if (!task || task.type !== 'CAPTURE_NODE' || !task.outputName) continue;
       const nodeId = (task.params && task.params.nodeId) || task.nodeId;
       if (!nodeId) continue;
-      imageMap.set(nodeId, path.posix.join('images', `${task.outputName}.png`));
+      imageMap.set(nodeId, this._resolveImagePath(path.posix.join('images', `${task.outputName}.png`)));
     }
+    this._fills = new Map();
+    for (const task of tasks) {
+      if (!task || task.type !== 'FILL_NODE' || !task.params || !task.params.fill) continue;
+      this._fills.set(task.params.nodeId || task.nodeId, task.params.fill);
+    }
+    this._decorativeText = new Map();
+    for (const task of tasks) {
+      if (!task || task.type !== 'CAPTURE_NODE' || !task.params || !task.params.decorativeText) continue;
+      const reasons = Array.isArray(task.params.reasons) ? task.params.reasons : [];
+      this._decorativeText.set(task.params.nodeId || task.nodeId, {
+        policy: task.params.decorativeText,
+        rules: reasons
+          .filter((reason) => typeof reason === 'string' && reason.startsWith('decorative-text:'))
+          .map((reason) => reason.slice('decorative-text:'.length)),
+      });
+    }
+    this._dpr = this._toPositiveNumber(config.dpr, 1);
     this._populateCaptureMap(captureMap, bakeResult);
+    this._atlasSprites = bakeResult && bakeResult.atlas && bakeResult.atlas.sprites ? bakeResult.atlas.sprites : {};
+    this._nineSlices = bakeResult && bakeResult.nineSlice ? bakeResult.nineSlice : {};
+    const stateMap = this._buildStateMap(bakeResult);
 
-    const layoutRoot = this._transformNode(analysisRoot, imageMap, captureMap);
+    const layoutRoot = this._transformNode(analysisRoot, imageMap, captureMap, stateMap);
     if (!layoutRoot) return null;
 
     const dpr = this._toPositiveNumber(config.dpr, 1);
@@ -50,12 +76,19 @@ class Assembler {
     layoutRoot.rect.width = Math.max(1, Math.round(logicalWidth * dpr));
     layoutRoot.rect.height = Math.max(1, Math.round(contentHeight * dpr));
     layoutRoot.imagePath = 'images/bg.png';
+    if (bakeResult && bakeResult.atlas && Array.isArray(bakeResult.atlas.pages)) {
+      layoutRoot.atlasPages = bakeResult.atlas.pages.map((page) => ({ ...page }));
+    }
+    layoutRoot.environment = this._buildEnvironment(config, dpr, logicalWidth);
+    layoutRoot.safeArea = this._buildSafeArea(config, dpr, layoutRoot.rect);
+    // After the root rect is normalized, since top-level anchors are measured against it.
+    this._applyAnchors(layoutRoot, analysisRoot);
 
     this._computeContentBounds(layoutRoot);
     return layoutRoot;
   }
 
-  _transformNode(node, imageMap, captureMap) {
+  _transformNode(node, imageMap, captureMap, stateMap) {
     if (!node) return null;
     const captureInfo = this._extractCaptureInfo(node, captureMap);
     const rotationBaked = !!(captureInfo && captureInfo.rotationBaked);
@@ -84,8 +117,16 @@ class Assembler {
       transformNeutralized: !!node.transformNeutralized,
       neutralizedAncestorCount: this._toInteger(node.neutralizedAncestorCount, 0),
       text: typeof node.text === 'string' ? node.text : '',
+      pseudoElement: node.pseudoElement ? { ...node.pseudoElement } : null,
+      richText: null,
+      decorativeText: this._decorativeText.get(node.id) || null,
+      textMetrics: this._buildTextMetrics(node.textMetrics),
       style: this._extractStyle(node),
       imagePath: imageMap.get(node.id) || node.imagePath || null,
+      atlasSprite: null,
+      nineSlice: null,
+      fill: this._fills.get(node.id) || null,
+      scroll: this._buildScroll(node.scroll),
       capture: captureInfo,
       renderOpacity: this._extractRenderOpacity(captureInfo),
       rotationBaked: rotationBaked || !!node.rotationBaked,
@@ -93,10 +134,32 @@ class Assembler {
       children: [],
     };
 
+    layoutNode.richText = this._buildRichText(node.richText, layoutNode.style);
+    // "both" keeps the editable label and adds the baked image as a child; "image" replaces the label.
+    if (layoutNode.decorativeText && layoutNode.decorativeText.policy === 'image') {
+      layoutNode.type = 'Image';
+    }
+    layoutNode.atlasSprite = this._resolveAtlasSprite(layoutNode.imagePath);
+    layoutNode.nineSlice = this._resolveNineSlice(layoutNode.imagePath);
+
+    const states = stateMap ? stateMap.get(node.id) : null;
+    if (states && states.length > 0) {
+      layoutNode.states = states;
+    }
+
+    layoutNode.layoutHints = this._buildLayoutHints(node);
+
+    if (layoutNode.decorativeText && layoutNode.decorativeText.policy === 'both' && layoutNode.imagePath) {
+      layoutNode.children.push(this._splitDecorativeImage(layoutNode));
+    }
+
     const children = Array.isArray(node.children) ? node.children : [];
     for (const child of children) {
-      const childLayout = this._transformNode(child, imageMap, captureMap);
+      const childLayout = this._transformNode(child, imageMap, captureMap, stateMap);
       if (childLayout) {
+        if (layoutNode.layoutHints) {
+          childLayout.layoutItem = this._buildLayoutItem(child, layoutNode.layoutHints);
+        }
         layoutNode.children.push(childLayout);
       }
     }
@@ -104,6 +167,30 @@ class Assembler {
     return layoutNode;
   }
 
+  // UGUI allows one Graphic per GameObject, so the baked image moves to its own child and the label stays editable.
+  _splitDecorativeImage(layoutNode) {
+    const imageNode = {
+      ...layoutNode,
+      id: `${layoutNode.id}::decorative`,
+      type: 'Image',
+      rect: this._copyRect(layoutNode.rect),
+      childIndex: -1,
+      text: '',
+      richText: null,
+      textMetrics: null,
+      style: null,
+      layoutHints: null,
+      children: [],
+    };
+    delete imageNode.states;
+    layoutNode.imagePath = null;
+    layoutNode.atlasSprite = null;
+    layoutNode.nineSlice = null;
+    layoutNode.capture = null;
+    layoutNode.renderOpacity = 1;
+    return imageNode;
+  }
+
   _populateCaptureMap(captureMap, bakeResult) {
     if (!captureMap || !bakeResult || typeof bakeResult !== 'object') return;
     const nodeCaptures = bakeResult.nodeCaptures;
@@ -114,10 +201,402 @@ class Assembler {
     }
   }
 
+  _buildStateMap(bakeResult) {
+    const stateMap = new Map();
+    const variants = bakeResult && bakeResult.stateVariants ? bakeResult.stateVariants.nodes : null;
+    if (!variants || typeof variants !== 'object') return stateMap;
+
+    for (const [nodeId, list] of Object.entries(variants)) {
+      if (!nodeId || !Array.isArray(list)) continue;
+      const states = [];
+      for (const variant of list) {
+        if (!variant || !variant.name) continue;
+        states.push({
+          name: String(variant.name),
+          imagePath: this._resolveImagePath(variant.imagePath) || null,
+          atlasSprite: this._resolveAtlasSprite(this._resolveImagePath(variant.imagePath)),
+          rectDelta: variant.rectDelta ? this._copyRect(variant.rectDelta) : null,
+          textStyleDelta: variant.textStyleDelta && typeof variant.textStyleDelta === 'object'
+            ? variant.textStyleDelta
+            : null,
+          capture: this._normalizeCapture(variant.capture),
+        });
+      }
+      if (states.length > 0) stateMap.set(nodeId, states);
+    }
+    return stateMap;
+  }
+
+  // Deduped images point at the canonical file that replaced them.
+  _resolveImagePath(imagePath) {
+    if (!imagePath) return imagePath;
+    return this._imageAliases[imagePath] || imagePath;
+  }
+
+  // Sprite rects are atlas page pixels with a top-left origin; imagePath keeps pointing at the standalone PNG.
+  _resolveAtlasSprite(imagePath) {
+    const sprite = imagePath && this._atlasSprites ? this._atlasSprites[imagePath] : null;
+    if (!sprite) return null;
+    return {
+      page: sprite.page,
+      pageIndex: sprite.pageIndex,
+      rect: { x: sprite.x, y: sprite.y, width: sprite.width, height: sprite.height },
+    };
+  }
+
+  // spriteBorder is in slice-image pixels, as Unity's Sprite.border expects; imagePath stays the full-size capture.
+  _resolveNineSlice(imagePath) {
+    const slice = imagePath && this._nineSlices ? this._nineSlices[imagePath] : null;
+    if (!slice) return null;
+    return {
+      imagePath: slice.imagePath,
+      width: slice.width,
+      height: slice.height,
+      spriteBorder: {
+        left: slice.spriteBorder.left,
+        right: slice.spriteBorder.right,
+        top: slice.spriteBorder.top,
+        bottom: slice.spriteBorder.bottom,
+      },
+      stretchable: {
+        horizontal: !!slice.stretchable.horizontal,
+        vertical: !!slice.stretchable.vertical,
+      },
+    };
+  }
+
+  // Flex/grid containers only. `kind` picks the closest Unity LayoutGroup; lengths are physical px.
+  _buildLayoutHints(node) {
+    const source = node && node.layoutStyles && typeof node.layoutStyles === 'object' ? node.layoutStyles : null;
+    if (!source) return null;
+    const display = String(source.display || '').trim().toLowerCase();
+    const isFlex = display === 'flex' || display === 'inline-flex';
+    const isGrid = display === 'grid' || display === 'inline-grid';
+    if (!isFlex && !isGrid) return null;
+
+    const direction = String(source.flexDirection || 'row').trim().toLowerCase();
+    let kind = 'grid';
+    if (isFlex) kind = direction.startsWith('column') ? 'vertical' : 'horizontal';
+    const position = String(source.position || '').trim().toLowerCase();
+    const shrinkWraps = display.startsWith('inline-') ||
+      position === 'absolute' ||
+      position === 'fixed' ||
+      (!!source.float && source.float !== 'none');
+
+    const hints = {
+      kind,
+      display,
+      direction: isFlex ? direction : null,
+      reverse: isFlex && direction.endsWith('-reverse'),
+      wrap: isFlex && String(source.flexWrap || '').trim().toLowerCase().startsWith('wrap'),
+      spacing: {
+        row: this._cssLengthToPhysical(source.rowGap),
+        column: this._cssLengthToPhysical(source.columnGap),
+      },
+      padding: {
+        left: this._cssLengthToPhysical(source.paddingLeft),
+        right: this._cssLengthToPhysical(source.paddingRight),
+        top: this._cssLengthToPhysical(source.paddingTop),
+        bottom: this._cssLengthToPhysical(source.paddingBottom),
+      },
+      justifyContent: this._normalizeLayoutAlignment(source.justifyContent),
+      alignItems: this._normalizeLayoutAlignment(source.alignItems),
+      alignContent: this._normalizeLayoutAlignment(source.alignContent),
+      grid: null,
+      // Maps to ContentSizeFitter: 'preferred' where the box sizes to its content.
+      fit: {
+        horizontal: source.autoWidth === true && shrinkWraps ? 'preferred' : 'none',
+        vertical: source.autoHeight === true ? 'preferred' : 'none',
+      },
+    };
+    if (isGrid) {
+      const columns = this._parseGridTracks(source.gridTemplateColumns);
+      const rows = this._parseGridTracks(source.gridTemplateRows);
+      hints.grid = {
+        columns,
+        rows,
+        columnCount: columns.length,
+        rowCount: rows.length,
+        autoFlow: String(source.gridAutoFlow || 'row').trim().toLowerCase(),
+      };
+    }
+    return hints;
+  }
+
+  // Maps to ScrollRect + Mask: `viewport` is the padding box, `content` the full scrollable size, both physical px.
+  // Children keep their page rects at the analyzed scroll offset (`position`).
+  _buildScroll(scroll) {
+    if (!scroll || typeof scroll !== 'object') return null;
+    const config = this.context && this.context.config ? this.context.config : {};
+    return {
+      horizontal: !!scroll.horizontal,
+      vertical: !!scroll.vertical,
+      viewport: this._copyRect(scroll.viewport),
+      content: {
+        width: this._toNumber(scroll.contentWidth, 0),
+        height: this._toNumber(scroll.contentHeight, 0),
+      },
+      position: {
+        x: this._toNumber(scroll.scrollX, 0),
+        y: this._toNumber(scroll.scrollY, 0),
+      },
+      contentCaptured: config.captureScrollContent === true,
+    };
+  }
+
+  _buildRichText(richText, baseStyle) {
+    const runs = richText && Array.isArray(richText.runs) ? richText.runs : [];
+    if (runs.length === 0) return null;
+    const base = baseStyle || {};
+    const toWeight = (weight) => {
+      const keyword = { normal: 400, bold: 700, lighter: 300, bolder: 700 }[String(weight || '').trim()];
+      const numeric = Number(weight);
+      return keyword || (Number.isFinite(numeric) && numeric > 0 ? numeric : 400);
+    };
+    const hasLine = (decoration, line) => String(decoration || '').split(/\s+/).includes(line);
+    const isItalic = (fontStyle) => fontStyle === 'italic' || String(fontStyle || '').startsWith('oblique');
+
+    // TMP has no closing counterpart for italic, underline, strikethrough or case tags, so a run can't switch
+    // them off. These are only part of the label's base style when every run has them; otherwise the label
+    // goes without and the runs that do have them are tagged. Importers set the label from `base`, not `style`.
+    const every = (predicate) => runs.every(predicate);
+    const tmpBase = {
+      fontWeight: toWeight(base.fontWeight),
+      italic: every((run) => isItalic(run.fontStyle)),
+      underline: every((run) => hasLine(run.textDecoration, 'underline')),
+      strikethrough: every((run) => hasLine(run.textDecoration, 'line-through')),
+      textTransform: every((run) => run.textTransform === runs[0].textTransform) ? runs[0].textTransform : 'none',
+    };
+
+    const tmp = runs.map((run) => {
+      let text = run.text.includes('<') ? `<noparse>${run.text}</noparse>` : run.text;
+      const wrap = (open, close) => {
+        text = `${open}${text}${close}`;
+      };
+      if (run.textTransform !== tmpBase.textTransform) {
+        if (run.textTransform === 'uppercase') wrap('<uppercase>', '</uppercase>');
+        if (run.textTransform === 'lowercase') wrap('<lowercase>', '</lowercase>');
+      }
+      if (run.verticalAlign === 'sub') wrap('<sub>', '</sub>');
+      if (run.verticalAlign === 'super') wrap('<sup>', '</sup>');
+      if (hasLine(run.textDecoration, 'line-through') && !tmpBase.strikethrough) wrap('<s>', '</s>');
+      if (hasLine(run.textDecoration, 'underline') && !tmpBase.underline) wrap('<u>', '</u>');
+      if (isItalic(run.fontStyle) && !tmpBase.italic) wrap('<i>', '</i>');
+      // Unlike <b>, font-weight works in both directions (a regular span inside a bold paragraph).
+      const weight = toWeight(run.fontWeight);
+      if (weight !== tmpBase.fontWeight) wrap(`<font-weight=${weight}>`, '</font-weight>');
+      if (run.fontSize !== base.fontSize && Number.isFinite(Number.parseFloat(run.fontSize))) {
+        wrap(`<size=${Math.round(Number.parseFloat(run.fontSize) * 100) / 100}>`, '</size>');
+      }
+      const color = this._cssColorToHex(run.color);
+      if (color && color !== this._cssColorToHex(base.color)) wrap(`<color=${color}>`, '</color>');
+      if (run.href) wrap(`<link="${run.href.replace(/"/g, '%22')}">`, '</link>');
+      return text;
+    }).join('');
+
+    return {
+      runs: runs.map((run) => ({ ...run })),
+      base: tmpBase,
+      tmp,
+    };
+  }
+
+  _buildTextMetrics(metrics) {
+    if (!metrics || typeof metrics !== 'object') return null;
+    const overflow = metrics.overflow || {};
+    const lines = Array.isArray(metrics.lines) ? metrics.lines : [];
+    return {
+      lineCount: this._toInteger(metrics.lineCount, lines.length),
+      lines: lines.map((line) => ({
+        ...this._copyRect(line),
+        baseline: this._toNumber(line.baseline, 0),
+      })),
+      ascent: this._toNumber(metrics.ascent, 0),
+      descent: this._toNumber(metrics.descent, 0),
+      baseline: this._toNumber(metrics.baseline, 0),
+      overflow: {
+        mode: overflow.mode || 'visible',
+        maxLines: overflow.maxLines == null ? null : this._toInteger(overflow.maxLines, 0),
+        wrap: overflow.wrap !== false,
+        truncated: !!overflow.truncated,
+      },
+    };
+  }
+
+  _cssColorToHex(color) {
+    const match = String(color || '').match(/rgba?\(([^)]+)\)/i);
+    if (!match) return null;
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map((part) => Number.parseFloat(part));
+    if (parts.length < 3 || parts.some((part) => !Number.isFinite(part))) return null;
+    const alpha = parts.length > 3 ? parts[3] : 1;
+    return `#${[parts[0], parts[1], parts[2], alpha * 255]
+      .map((channel) => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase()}`;
+  }
+
+  _buildLayoutItem(node, parentHints) {
+    const source = node && node.layoutStyles && typeof node.layoutStyles === 'object' ? node.layoutStyles : null;
+    if (!source || !parentHints) return null;
+    const basis = String(source.flexBasis || 'auto').trim().toLowerCase();
+    const item = {
+      grow: this._toNumber(source.flexGrow, 0),
+      shrink: this._toNumber(source.flexShrink, 1),
+      basis: /px$/.test(basis) ? this._cssLengthToPhysical(basis) : basis,
+      alignSelf: this._normalizeLayoutAlignment(source.alignSelf),
+      order: this._toInteger(source.order, 0),
+    };
+    if (parentHints.kind === 'grid') {
+      item.gridColumn = { start: String(source.gridColumnStart || 'auto'), end: String(source.gridColumnEnd || 'auto') };
+      item.gridRow = { start: String(source.gridRowStart || 'auto'), end: String(source.gridRowEnd || 'auto') };
+    }
+    return item;
+  }
+
+  // Collapses the CSS keyword zoo onto start/center/end/stretch/baseline/space-*; 'normal' keeps the CSS default.
+  _normalizeLayoutAlignment(raw) {
+    const value = String(raw || '').trim().toLowerCase().replace(/^(safe|unsafe)\s+/, '');
+    if (!value || value === 'normal' || value === 'auto') return 'normal';
+    if (['flex-start', 'start', 'self-start', 'left'].includes(value)) return 'start';
+    if (['flex-end', 'end', 'self-end', 'right'].includes(value)) return 'end';
+    if (value.endsWith('baseline')) return 'baseline';
+    return value;
+  }
+
+  _parseGridTracks(raw) {
+    const value = String(raw || '').trim().toLowerCase();
+    if (!value || value === 'none') return [];
+    return value
+      .replace(/\[[^\]]*\]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((track) => (/px$/.test(track) ? this._cssLengthToPhysical(track) : track));
+  }
+
+  _cssLengthToPhysical(raw) {
+    const value = Number.parseFloat(raw);
+    if (!Number.isFinite(value)) return 0;
+    return Math.round(value * this._dpr * 100) / 100;
+  }
+
+  _applyAnchors(layoutRoot, analysisRoot) {
+    const sourceById = new Map();
+    const collect = (node) => {
+      if (!node) return;
+      if (node.id) sourceById.set(node.id, node);
+      for (const child of Array.isArray(node.children) ? node.children : []) collect(child);
+    };
+    collect(analysisRoot);
+
+    const rootId = analysisRoot ? analysisRoot.id : '';
+    const visit = (layoutNode) => {
+      const parentSource = sourceById.get(layoutNode.id) || null;
+      for (const child of layoutNode.children) {
+        child.anchor = this._buildAnchor(
+          sourceById.get(child.id),
+          child.rect,
+          parentSource,
+          layoutNode.rect,
+          !!parentSource && parentSource.id === rootId,
+        );
+        visit(child);
+      }
+    };
+    layoutRoot.anchor = null;
+    visit(layoutRoot);
+  }
+
+  // Anchors use Unity's RectTransform convention (0..1, y up); margins are physical px to the parent's edges.
+  _buildAnchor(node, rect, parentNode, parentRect, parentIsRoot = false) {
+    const source = node && node.positioning && typeof node.positioning === 'object' ? node.positioning : null;
+    if (!source || !rect || !parentRect || !(parentRect.width > 0) || !(parentRect.height > 0)) return null;
+
+    const isSet = (value) => !!value && String(value).trim().toLowerCase() !== 'auto';
+    const isPercent = (value) => /%$/.test(String(value || '').trim());
+    const position = String(source.position || 'static').trim().toLowerCase();
+    // Offsets only mean "pinned to the Unity parent" when the parent is the CSS containing block;
+    // the layout root stands in for the viewport.
+    const pinned = (position === 'absolute' && source.containingBlock === 'parent') ||
+      (source.containingBlock === 'viewport' && parentIsRoot);
+    const parentDisplay = String(parentNode && parentNode.layoutStyles ? parentNode.layoutStyles.display : '')
+      .trim().toLowerCase();
+    const inFlexOrGrid = /(flex|grid)$/.test(parentDisplay);
+    const display = String(node.layoutStyles ? node.layoutStyles.display : '').trim().toLowerCase();
+    const reasons = [];
+
+    let horizontal = 'left';
+    if (pinned && isSet(source.left) && isSet(source.right)) {
+      horizontal = 'stretch';
+      reasons.push('pinned-left-right');
+    } else if (pinned && isSet(source.right)) {
+      horizontal = 'right';
+      reasons.push('pinned-right');
+    } else if (isPercent(source.width)) {
+      horizontal = 'relative';
+      reasons.push('percent-width');
+    } else if (!isSet(source.marginLeft) && !isSet(source.marginRight)) {
+      horizontal = 'center';
+      reasons.push('margin-auto-x');
+    } else if (!pinned && position !== 'fixed' && !inFlexOrGrid && !isSet(source.width) &&
+      ['block', 'flex', 'grid', 'list-item', 'flow-root'].includes(display)) {
+      horizontal = 'stretch';
+      reasons.push('block-auto-width');
+    }
+
+    let vertical = 'top';
+    if (pinned && isSet(source.top) && isSet(source.bottom)) {
+      vertical = 'stretch';
+      reasons.push('pinned-top-bottom');
+    } else if (pinned && isSet(source.bottom)) {
+      vertical = 'bottom';
+      reasons.push('pinned-bottom');
+    } else if (isPercent(source.height)) {
+      vertical = 'relative';
+      reasons.push('percent-height');
+    } else if ((pinned || inFlexOrGrid) && !isSet(source.marginTop) && !isSet(source.marginBottom)) {
+      vertical = 'middle';
+      reasons.push('margin-auto-y');
+    }
+
+    const left = (rect.x - parentRect.x) / parentRect.width;
+    const right = (rect.x + rect.width - parentRect.x) / parentRect.width;
+    const top = 1 - (rect.y - parentRect.y) / parentRect.height;
+    const bottom = 1 - (rect.y + rect.height - parentRect.y) / parentRect.height;
+    const axis = (mode, start, end, fixedStart, fixedEnd) => {
+      if (mode === 'relative') return { min: start, max: end, pivot: 0.5 };
+      if (mode === 'stretch') return { min: fixedStart, max: fixedEnd, pivot: 0.5 };
+      if (mode === 'center' || mode === 'middle') return { min: 0.5, max: 0.5, pivot: 0.5 };
+      if (mode === 'right' || mode === 'top') return { min: fixedEnd, max: fixedEnd, pivot: fixedEnd };
+      return { min: fixedStart, max: fixedStart, pivot: fixedStart };
+    };
+    const x = axis(horizontal, left, right, 0, 1);
+    const y = axis(vertical, bottom, top, 0, 1);
+    const round = (value) => Math.round(value * 10000) / 10000;
+
+    return {
+      preset: horizontal === 'relative' || vertical === 'relative' ? 'custom' : `${vertical}-${horizontal}`,
+      horizontal,
+      vertical,
+      min: { x: round(x.min), y: round(y.min) },
+      max: { x: round(x.max), y: round(y.max) },
+      pivot: { x: round(x.pivot), y: round(y.pivot) },
+      margins: {
+        left: round(rect.x - parentRect.x),
+        right: round(parentRect.x + parentRect.width - rect.x - rect.width),
+        top: round(rect.y - parentRect.y),
+        bottom: round(parentRect.y + parentRect.height - rect.y - rect.height),
+      },
+      reasons,
+    };
+  }
+
   _extractCaptureInfo(node, captureMap) {
     if (!node) return null;
     const fromBake = captureMap && captureMap.get ? captureMap.get(node.id) : null;
-    const source = fromBake || node.capture;
+    return this._normalizeCapture(fromBake || node.capture);
+  }
+
+  _normalizeCapture(source) {
     if (!source || typeof source !== 'object') return null;
 
     const imageWidth = this._toNumber(source.imageWidth, 0);
@@ -158,6 +637,47 @@ class Assembler {
     return opacity;
   }
 
+  _buildEnvironment(config, dpr, logicalWidth) {
+    const env = config.environment && typeof config.environment === 'object' ? config.environment : {};
+    return {
+      colorScheme: env.colorScheme || 'light',
+      reducedMotion: env.reducedMotion || 'no-preference',
+      locale: env.locale || '',
+      timezone: env.timezone || '',
+      userAgent: env.userAgent || '',
+      touch: !!env.touch,
+      viewport: {
+        logicalWidth,
+        logicalHeight: this._toPositiveNumber(config.logicalHeight, 0),
+        dpr,
+      },
+    };
+  }
+
+  // Insets and the inner rect are physical px, matching node rects; the rect covers the viewport, not the scroll content.
+  _buildSafeArea(config, dpr, rootRect) {
+    const source = config.safeAreaInsets && typeof config.safeAreaInsets === 'object' ? config.safeAreaInsets : {};
+    const insets = {};
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      insets[side] = Math.round(Math.max(0, this._toNumber(source[side], 0)) * dpr);
+    }
+
+    const viewportWidth = this._toPositiveNumber(config.targetWidth, rootRect.width);
+    const viewportHeight = this._toPositiveNumber(config.targetHeight, rootRect.height);
+    const env = config.environment && typeof config.environment === 'object' ? config.environment : {};
+    return {
+      device: env.device || '',
+      emulation: this.context.safeAreaMode || '',
+      insets,
+      rect: {
+        x: insets.left,
+        y: insets.top,
+        width: Math.max(0, viewportWidth - insets.left - insets.right),
+        height: Math.max(0, viewportHeight - insets.top - insets.bottom),
+      },
+    };
+  }
+
   _computeContentBounds(node) {
     if (!node) return null;
 
@@ -0,0 +1,126 @@
+const path = require('path');
+const { decodePng, encodePng, createImage, blitImage } = require('../utils/png');
+const { collectBakedImagePaths } = require('../utils/bakedImages');
+
+function resolveFsExtra() {
+  try {
+    return require('fs-extra');
+  } catch (_) {
+    return require(path.resolve(__dirname, '../../UIBaker/node_modules/fs-extra'));
+  }
+}
+
+const fs = resolveFsExtra();
+
+class AtlasPacker {
+  constructor(context) {
+    this.context = context;
+    const config = this.context && this.context.config ? this.context.config : {};
+    this.outputDir = config.outputDir || path.resolve(process.cwd(), 'output');
+    this.maxSize = config.atlasMaxSize || 2048;
+    this.padding = config.atlasPadding != null ? config.atlasPadding : 2;
+  }
+
+  // Packs every baked node image (state variants included) into atlas pages; the page background stays standalone.
+  async run(tasks, captureMeta) {
+    const imagePaths = collectBakedImagePaths(tasks, captureMeta);
+    const entries = [];
+    const oversized = [];
+    for (const imagePath of imagePaths) {
+      const absolutePath = path.join(this.outputDir, imagePath);
+      if (!(await fs.pathExists(absolutePath))) continue;
+      const image = decodePng(await fs.readFile(absolutePath));
+      if (image.width + this.padding * 2 > this.maxSize || image.height + this.padding * 2 > this.maxSize) {
+        oversized.push(imagePath);
+        continue;
+      }
+      entries.push({ imagePath, image });
+    }
+
+    const pages = this._pack(entries);
+    const atlas = {
+      maxSize: this.maxSize,
+      padding: this.padding,
+      origin: 'top-left',
+      pages: [],
+      sprites: {},
+      oversized,
+    };
+    // Pages from an earlier bake would otherwise linger when this one needs fewer.
+    await fs.emptyDir(path.join(this.outputDir, 'atlas'));
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex += 1) {
+      const page = pages[pageIndex];
+      const pageImage = createImage(page.width, page.height);
+      const pagePath = path.posix.join('atlas', `atlas_${pageIndex}.png`);
+      for (const placement of page.placements) {
+        blitImage(placement.image, pageImage, placement.x, placement.y);
+        atlas.sprites[placement.imagePath] = {
+          page: pagePath,
+          pageIndex,
+          x: placement.x,
+          y: placement.y,
+          width: placement.image.width,
+          height: placement.image.height,
+        };
+      }
+      await fs.writeFile(path.join(this.outputDir, pagePath), encodePng(pageImage));
+      atlas.pages.push({
+        imagePath: pagePath,
+        width: page.width,
+        height: page.height,
+        spriteCount: page.placements.length,
+      });
+    }
+    return atlas;
+  }
+
+  // Shelf packing, tallest first: good enough for UI captures, which are mostly short wide strips and icons.
+  _pack(entries) {
+    const sorted = entries.slice().sort((a, b) => (
+      b.image.height - a.image.height
+      || b.image.width - a.image.width
+      || a.imagePath.localeCompare(b.imagePath)
+    ));
+    const pages = [];
+    for (const entry of sorted) {
+      const width = entry.image.width + this.padding * 2;
+      const height = entry.image.height + this.padding * 2;
+      let placed = false;
+      for (const page of pages) {
+        if (this._placeOnPage(page, entry, width, height)) {
+          placed = true;
+          break;
+        }
+      }
+      if (!placed) {
+        const page = { shelves: [], usedHeight: 0, width: 0, height: 0, placements: [] };
+        pages.push(page);
+        this._placeOnPage(page, entry, width, height);
+      }
+    }
+    return pages;
+  }
+
+  _placeOnPage(page, entry, width, height) {
+    let shelf = page.shelves.find((item) => item.height >= height && item.cursorX + width <= this.maxSize);
+    if (!shelf) {
+      if (page.usedHeight + height > this.maxSize) return false;
+      shelf = { y: page.usedHeight, height, cursorX: 0 };
+      page.shelves.push(shelf);
+      page.usedHeight += height;
+    }
+
+    page.placements.push({
+      imagePath: entry.imagePath,
+      image: entry.image,
+      x: shelf.cursorX + this.padding,
+      y: shelf.y + this.padding,
+    });
+    shelf.cursorX += width;
+    page.width = Math.max(page.width, shelf.cursorX);
+    page.height = Math.max(page.height, page.usedHeight);
+    return true;
+  }
+}
+
+module.exports = AtlasPacker;
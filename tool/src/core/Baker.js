@@ -9,6 +9,8 @@ function resolveFsExtra() {
 }
 
 const fs = resolveFsExtra();
+const CaptureCache = require('./CaptureCache');
+const { decodePng, encodePng, createImage } = require('../utils/png');
 
 class Baker {
   constructor(context) {
@@ -18,29 +20,166 @@ class Baker {
     this.outputDir = path.join(rootOutputDir, 'images');
   }
 
-  async run(page, tasks) {
+  // `options.pages` are extra pool pages already loaded with the same HTML and data-bake-id assignment.
+  async run(page, tasks, options = {}) {
     if (!page) {
       throw new Error('Baker.run requires a valid Puppeteer page instance.');
     }
 
-    const list = Array.isArray(tasks) ? tasks : [];
+    const list = (Array.isArray(tasks) ? tasks : [])
+      .filter((task) => task && (task.type === 'CAPTURE_PAGE' || task.type === 'CAPTURE_NODE'));
+    const pages = [page].concat(Array.isArray(options.pages) ? options.pages.filter(Boolean) : []);
     await fs.ensureDir(this.outputDir);
-    const nodeCaptures = {};
+    const events = this.context && this.context.events ? this.context.events : null;
+    const total = list.length;
+    const captures = new Array(total).fill(null);
+    const cache = new CaptureCache(this.context);
+    const cacheKeys = await cache.computeKeys(page, list);
+    let nextPosition = 0;
+    let index = 0;
+    let failed = false;
+
+    const runWorker = async (workerPage, worker) => {
+      while (!failed && nextPosition < total) {
+        const position = nextPosition;
+        nextPosition += 1;
+        const task = list[position];
+        const startedAt = Date.now();
+        const nodeId = task.nodeId || (task.params && task.params.nodeId) || '';
+        let status = 'ok';
+        try {
+          if (task.type === 'CAPTURE_PAGE') {
+            await this._capturePage(workerPage, task);
+          } else {
+            const cacheKey = cacheKeys.get(task) || '';
+            let capture = await this._restoreCachedCapture(cache, cacheKey, task);
+            const cacheHit = !!capture;
+            if (!capture) {
+              capture = await this._captureNodeImage(workerPage, task);
+              if (capture && cacheKey) {
+                await cache.store(cacheKey, path.join(this.outputDir, `${task.outputName}.png`), capture);
+              }
+            }
+            captures[position] = capture && cacheKey ? { ...capture, cacheKey, cacheHit } : capture;
+            if (!capture || !nodeId) {
+              status = 'empty';
+            } else if (cacheHit) {
+              status = 'cached';
+            }
+          }
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
 
-    for (const task of list) {
-      if (!task || !task.type) continue;
-      if (task.type === 'CAPTURE_PAGE') {
-        await this._capturePage(page, task);
-      } else if (task.type === 'CAPTURE_NODE') {
-        const capture = await this._captureNode(page, task);
-        const nodeId = task.nodeId || (task.params && task.params.nodeId);
-        if (capture && nodeId) {
-          nodeCaptures[nodeId] = capture;
+        index += 1;
+        if (!events) continue;
+        events.emit('task:progress', {
+          index,
+          total,
+          taskId: task.id || '',
+          taskType: task.type,
+          nodeId,
+          outputName: task.outputName || '',
+          status,
+          worker,
+          durationMs: Date.now() - startedAt,
+        });
+        if (status === 'empty') {
+          events.emit('warning', {
+            code: 'capture-empty',
+            nodeId,
+            message: `Capture produced no image for ${task.outputName || nodeId}.`,
+          });
         }
       }
+    };
+
+    // Let every worker finish its in-flight capture before surfacing the first failure.
+    const settled = await Promise.allSettled(pages.map((workerPage, worker) => runWorker(workerPage, worker)));
+    const rejected = settled.find((entry) => entry.status === 'rejected');
+    if (rejected) throw rejected.reason;
+
+    // Merge in plan order so capture_meta.json does not depend on which page finished first.
+    const nodeCaptures = {};
+    list.forEach((task, position) => {
+      const nodeId = task.nodeId || (task.params && task.params.nodeId);
+      if (nodeId && captures[position]) {
+        nodeCaptures[nodeId] = captures[position];
+      }
+    });
+    return { nodeCaptures, cache: cache.getReport() };
+  }
+
+  async _restoreCachedCapture(cache, cacheKey, task) {
+    if (!cacheKey) return null;
+    return cache.restore(cacheKey, path.join(this.outputDir, `${task.outputName}.png`));
+  }
+
+  async captureNode(page, task) {
+    if (!page) {
+      throw new Error('Baker.captureNode requires a valid Puppeteer page instance.');
     }
+    await fs.ensureDir(this.outputDir);
+    return this._captureNodeImage(page, task);
+  }
 
-    return { nodeCaptures };
+  async _captureNodeImage(page, task) {
+    const capture = await this._captureNode(page, task);
+    const config = this.context && this.context.config ? this.context.config : {};
+    if (!capture || !config.trimTransparent) return capture;
+    return this._trimTransparent(path.join(this.outputDir, `${task.outputName}.png`), capture, config.trimMargin);
+  }
+
+  // Crops fully transparent rows/columns (keeping `margin` px for bilinear sampling) and shifts the
+  // content offsets by the same amount, so the visible pixels land exactly where they did before.
+  async _trimTransparent(savePath, capture, margin = 2) {
+    const image = decodePng(await fs.readFile(savePath));
+    let left = image.width;
+    let top = image.height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < image.height; y += 1) {
+      for (let x = 0; x < image.width; x += 1) {
+        if (image.data[(y * image.width + x) * 4 + 3] === 0) continue;
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+    // Fully transparent captures stay as they are; empty images are the planner's call, not ours.
+    if (right < 0) return capture;
+
+    const safeMargin = Math.max(0, Math.round(this._toNumber(margin, 2)));
+    const trim = {
+      left: Math.max(0, left - safeMargin),
+      top: Math.max(0, top - safeMargin),
+      right: Math.max(0, image.width - 1 - right - safeMargin),
+      bottom: Math.max(0, image.height - 1 - bottom - safeMargin),
+    };
+    if (trim.left + trim.top + trim.right + trim.bottom === 0) return capture;
+
+    const width = image.width - trim.left - trim.right;
+    const height = image.height - trim.top - trim.bottom;
+    const cropped = createImage(width, height);
+    for (let y = 0; y < height; y += 1) {
+      const from = ((y + trim.top) * image.width + trim.left) * 4;
+      image.data.copy(cropped.data, y * width * 4, from, from + width * 4);
+    }
+    await fs.writeFile(savePath, encodePng(cropped));
+
+    // Meta sizes are physical px and match the PNG up to rounding; scale trims in case they ever diverge.
+    const scaleX = this._toNumber(capture.imageWidth, image.width) / image.width;
+    const scaleY = this._toNumber(capture.imageHeight, image.height) / image.height;
+    return {
+      ...capture,
+      imageWidth: this._round(width * scaleX),
+      imageHeight: this._round(height * scaleY),
+      contentOffsetX: this._round(this._toNumber(capture.contentOffsetX, 0) - trim.left * scaleX),
+      contentOffsetY: this._round(this._toNumber(capture.contentOffsetY, 0) - trim.top * scaleY),
+      trim,
+    };
   }
 
   async _capturePage(page, task) {
@@ -82,7 +221,13 @@ class Baker {
       ? params.backgroundStackNodeIds.filter((id) => typeof id === 'string' && id.trim().length > 0)
       : [];
     const decoupleOpacity = !!params.decoupleOpacity;
+    const textOnly = !!params.textOnly;
+    // Direct-text children are laid out by their text range; element text nodes by their own box.
+    const frameToGlyphs = textOnly && captureSourceNodeId !== nodeId;
     const renderOpacity = this._clamp01(this._toNumber(params.renderOpacity, 1), 1);
+    const unclipScrollAncestorIds = Array.isArray(params.unclipScrollAncestorIds)
+      ? params.unclipScrollAncestorIds.filter((id) => typeof id === 'string' && id.trim().length > 0)
+      : [];
 
     if (!nodeId) {
       return null;
@@ -108,6 +253,7 @@ class Baker {
         suppressUnderlayFaintBorder,
         decoupleOpacity,
         renderOpacity,
+        unclipScrollAncestorIds,
       );
     }
     if (mode === 'backgroundStack') {
@@ -124,13 +270,15 @@ class Baker {
     return this._captureNodeClone(
       page,
       task,
-      nodeId,
+      captureSourceNodeId,
       hideChildren,
       hideOwnText,
       rotationBaked,
       rotationOriginal,
       decoupleOpacity,
       renderOpacity,
+      textOnly,
+      frameToGlyphs,
     );
   }
 
@@ -144,6 +292,8 @@ class Baker {
     rotationOriginal,
     decoupleOpacity,
     renderOpacity,
+    textOnly = false,
+    frameToGlyphs = false,
   ) {
     const savePath = path.join(this.outputDir, `${task.outputName}.png`);
 
@@ -157,6 +307,8 @@ class Baker {
         hideChildren,
         hideOwnText,
         decoupleOpacity,
+        textOnly,
+        frameToGlyphs,
       );
       const rawClip = captureState && captureState.clip ? captureState.clip : captureState;
       const normalizedClip = this._normalizeClip(rawClip);
@@ -199,6 +351,7 @@ class Baker {
     suppressUnderlayFaintBorder,
     decoupleOpacity,
     renderOpacity,
+    unclipScrollAncestorIds = [],
   ) {
     const savePath = path.join(this.outputDir, `${task.outputName}.png`);
 
@@ -217,6 +370,7 @@ class Baker {
         preserveSceneUnderlay,
         suppressUnderlayFaintBorder,
         decoupleOpacity,
+        unclipScrollAncestorIds,
       );
       const rawClip = captureState && captureState.clip ? captureState.clip : captureState;
       const normalizedClip = this._normalizeClip(rawClip);
@@ -469,12 +623,14 @@ class Baker {
     preserveSceneUnderlay,
     suppressUnderlayFaintBorder,
     decoupleOpacity,
+    unclipScrollAncestorIds,
   ) {
     const root = window;
     const cleanupState = root.__bakeCleanupState || (root.__bakeCleanupState = {
       touchedNodes: [],
       hiddenTextNodes: [],
       hiddenControlValues: [],
+      scrollPositions: [],
     });
     if (!Array.isArray(cleanupState.hiddenTextNodes)) {
       cleanupState.hiddenTextNodes = [];
@@ -482,6 +638,9 @@ class Baker {
     if (!Array.isArray(cleanupState.hiddenControlValues)) {
       cleanupState.hiddenControlValues = [];
     }
+    if (!Array.isArray(cleanupState.scrollPositions)) {
+      cleanupState.scrollPositions = [];
+    }
 
     const markNode = (node) => {
       if (!node || node.nodeType !== 1) return;
@@ -712,6 +871,17 @@ class Baker {
       revealCursor = revealCursor.parentElement;
     }
 
+    const unclipIds = new Set(Array.isArray(unclipScrollAncestorIds) ? unclipScrollAncestorIds : []);
+    for (const ancestor of revealChain) {
+      if (!ancestor || ancestor === el || !unclipIds.has(ancestor.getAttribute('data-bake-id'))) continue;
+      // Content beyond the scroll viewport is masked in Unity instead, so the capture needs it unclipped.
+      // Unclipping drops the scroll offset; cleanup puts it back so later captures match the analysis rects.
+      cleanupState.scrollPositions.push({ node: ancestor, left: ancestor.scrollLeft, top: ancestor.scrollTop });
+      setStyle(ancestor, 'overflow', 'visible');
+      setStyle(ancestor, 'overflow-x', 'visible');
+      setStyle(ancestor, 'overflow-y', 'visible');
+    }
+
     if (suppressAncestorPaint) {
       // Keep ancestor geometry for clipping/transform context, but drop ancestor paints
       // to avoid baking unintended square backgrounds into child captures.
@@ -1303,7 +1473,7 @@ class Baker {
     };
   }
 
-  _browserCaptureLogic(nodeId, hideChildren, hideOwnText, decoupleOpacity) {
+  _browserCaptureLogic(nodeId, hideChildren, hideOwnText, decoupleOpacity, textOnly, frameToGlyphs) {
     const staleClones = document.querySelectorAll('[data-bake-clone="true"]');
     for (const stale of staleClones) {
       stale.remove();
@@ -1426,8 +1596,10 @@ class Baker {
       return maxPad;
     };
 
+    // Text-only captures drop the box paint, so only glyph effects (text-shadow, stroke) widen the clip.
+    const strokeWidth = parseFloat(style.webkitTextStrokeWidth) || 0;
     const shadowPad = Math.max(
-      parseBoxShadowPad(style.boxShadow),
+      textOnly ? parseBoxShadowPad(style.textShadow) + strokeWidth : parseBoxShadowPad(style.boxShadow),
       parseDropShadowPad(style.filter),
       parseBlurPad(style.filter),
     );
@@ -1486,7 +1658,22 @@ class Baker {
       clone.style.opacity = '1';
     }
 
-    if (hideChildren) {
+    if (textOnly) {
+      if ((style.webkitBackgroundClip || style.backgroundClip) !== 'text') {
+        clone.style.backgroundColor = 'transparent';
+        clone.style.backgroundImage = 'none';
+      }
+      clone.style.borderColor = 'transparent';
+      clone.style.boxShadow = 'none';
+      clone.style.outline = 'none';
+    }
+
+    if (hideChildren && textOnly) {
+      // Keep the element children in flow so the direct text wraps exactly as on the page.
+      for (const child of Array.from(clone.children)) {
+        child.style.opacity = '0';
+      }
+    } else if (hideChildren) {
       clone.innerHTML = '';
     }
     if (hideOwnText && !hideChildren) {
@@ -1521,6 +1708,58 @@ class Baker {
     ].join('\n');
     document.head.appendChild(styleTag);
 
+    if (textOnly) {
+      const textRanges = [];
+      if (hideChildren) {
+        for (const child of Array.from(clone.childNodes)) {
+          if (child.nodeType !== Node.TEXT_NODE || !(child.textContent || '').trim()) continue;
+          const range = document.createRange();
+          range.selectNodeContents(child);
+          textRanges.push(range);
+        }
+      } else {
+        const range = document.createRange();
+        range.selectNodeContents(clone);
+        textRanges.push(range);
+      }
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      for (const range of textRanges) {
+        for (const r of range.getClientRects()) {
+          if (r.width <= 0 || r.height <= 0) continue;
+          minX = Math.min(minX, r.left);
+          minY = Math.min(minY, r.top);
+          maxX = Math.max(maxX, r.right);
+          maxY = Math.max(maxY, r.bottom);
+        }
+      }
+      if (!Number.isFinite(minX)) return null;
+      // The content frame must match the node rect the importer places it at: the text range for direct-text
+      // children, the element's box (padding, alignment and line-height included) otherwise.
+      const box = clone.getBoundingClientRect();
+      const frame = frameToGlyphs
+        ? { left: minX, top: minY, width: maxX - minX, height: maxY - minY }
+        : { left: box.left, top: box.top, width: box.width, height: box.height };
+      const clipX = Math.max(0, Math.floor(Math.min(frame.left, minX - shadowPad)));
+      const clipY = Math.max(0, Math.floor(Math.min(frame.top, minY - shadowPad)));
+      const clipRight = Math.max(frame.left + frame.width, maxX + shadowPad);
+      const clipBottom = Math.max(frame.top + frame.height, maxY + shadowPad);
+      return {
+        clip: {
+          x: clipX,
+          y: clipY,
+          width: Math.max(1, Math.ceil(clipRight - clipX)),
+          height: Math.max(1, Math.ceil(clipBottom - clipY)),
+        },
+        contentOffsetX: frame.left - clipX,
+        contentOffsetY: frame.top - clipY,
+        contentWidth: frame.width,
+        contentHeight: frame.height,
+      };
+    }
+
     return {
       clip: {
         x: 0,
@@ -1586,6 +1825,17 @@ class Baker {
       cleanupState.touchedNodes.length = 0;
     }
 
+    // After the overflow styles are back, otherwise the element can't scroll yet.
+    if (cleanupState && Array.isArray(cleanupState.scrollPositions)) {
+      // Newest first, so the offset saved before the first unclip is the one that sticks.
+      for (const entry of cleanupState.scrollPositions.slice().reverse()) {
+        if (!entry || !entry.node || entry.node.nodeType !== 1) continue;
+        entry.node.scrollLeft = entry.left;
+        entry.node.scrollTop = entry.top;
+      }
+      cleanupState.scrollPositions.length = 0;
+    }
+
     const clones = document.querySelectorAll('[data-bake-clone="true"]');
     for (const clone of clones) {
       clone.remove();
@@ -0,0 +1,300 @@
+const path = require('path');
+const { createHash } = require('crypto');
+
+function resolveFsExtra() {
+  try {
+    return require('fs-extra');
+  } catch (_) {
+    return require(path.resolve(__dirname, '../../UIBaker/node_modules/fs-extra'));
+  }
+}
+
+const fs = resolveFsExtra();
+
+// Bump when capture logic changes in a way that makes previously cached images wrong.
+const CACHE_VERSION = 1;
+// The capture code itself is part of the key, so editing it invalidates old entries without a manual bump.
+const CAPTURE_CODE_FILES = [
+  path.join(__dirname, 'Baker.js'),
+  __filename,
+  path.join(__dirname, '../utils/png.js'),
+];
+let captureCodeHash = null;
+
+function getCaptureCodeHash() {
+  if (captureCodeHash === null) {
+    const hash = createHash('sha1');
+    for (const filePath of CAPTURE_CODE_FILES) {
+      hash.update(fs.readFileSync(filePath));
+    }
+    captureCodeHash = hash.digest('hex');
+  }
+  return captureCodeHash;
+}
+
+// Params that carry run-specific node ids; the elements they point at are fingerprinted instead.
+const NODE_ID_PARAMS = new Set([
+  'nodeId',
+  'captureSourceNodeId',
+  'backgroundStackNodeIds',
+  'unclipScrollAncestorIds',
+  'reasons',
+]);
+
+// Runs in the page. Returns one fingerprint string per request (null when the node is gone), built from
+// per-element hashes so the payload stays small even for large subtrees.
+function fingerprintNodesInPage(requests) {
+  const hashText = (text) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i += 1) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  };
+
+  const styleText = (style) => {
+    const parts = [];
+    for (let i = 0; i < style.length; i += 1) {
+      const prop = style[i];
+      parts.push(`${prop}:${style.getPropertyValue(prop)}`);
+    }
+    return parts.join(';');
+  };
+
+  const elementHashes = new Map();
+  const hashElement = (el) => {
+    if (elementHashes.has(el)) return elementHashes.get(el);
+    const parts = [el.tagName];
+    const attrs = Array.from(el.attributes || [])
+      .filter((attr) => !/^data-bake-/i.test(attr.name))
+      .map((attr) => `${attr.name}=${attr.value}`)
+      .sort();
+    parts.push(attrs.join('|'));
+    parts.push(Array.from(el.childNodes)
+      .filter((node) => node.nodeType === Node.TEXT_NODE)
+      .map((node) => node.textContent)
+      .join(''));
+    parts.push(styleText(window.getComputedStyle(el)));
+    for (const pseudo of ['::before', '::after']) {
+      const pseudoStyle = window.getComputedStyle(el, pseudo);
+      if (pseudoStyle.content && pseudoStyle.content !== 'none' && pseudoStyle.content !== 'normal') {
+        parts.push(`${pseudo}{${styleText(pseudoStyle)}}`);
+      }
+    }
+    if ('value' in el) parts.push(`value=${el.value}`);
+    if ('checked' in el) parts.push(`checked=${el.checked}`);
+    if (el.tagName === 'IMG') {
+      parts.push(`img=${el.currentSrc}|${el.naturalWidth}x${el.naturalHeight}|${el.complete}`);
+    }
+    if (el.tagName === 'CANVAS') {
+      try {
+        parts.push(`canvas=${el.toDataURL()}`);
+      } catch (_) {
+        parts.push('canvas=tainted');
+      }
+    }
+    const hash = hashText(parts.join('\n'));
+    elementHashes.set(el, hash);
+    return hash;
+  };
+
+  // Only the ancestor properties that bleed into a node's own pixels; inherited ones show up in its computed style.
+  const ANCESTOR_PROPS = [
+    'opacity',
+    'transform',
+    'filter',
+    'backdrop-filter',
+    'mix-blend-mode',
+    'isolation',
+    'clip-path',
+    'mask-image',
+    'background-color',
+    'background-image',
+    'perspective',
+    'overflow',
+  ];
+  const hashAncestor = (el) => {
+    const style = window.getComputedStyle(el);
+    return hashText([el.tagName, el.getAttribute('class') || '']
+      .concat(ANCESTOR_PROPS.map((prop) => `${prop}:${style.getPropertyValue(prop)}`))
+      .join('\n'));
+  };
+
+  const rectOf = (el, positional) => {
+    const rect = el.getBoundingClientRect();
+    const size = [rect.width, rect.height].map((value) => Math.round(value * 100) / 100);
+    if (!positional) return size;
+    return [rect.left + window.scrollX, rect.top + window.scrollY]
+      .map((value) => Math.round(value * 100) / 100)
+      .concat(size);
+  };
+
+  // Underlay candidates are measured once per evaluate, not once per underlay request.
+  let documentRects = null;
+  const getDocumentRects = () => {
+    if (!documentRects) {
+      documentRects = Array.from(document.body.querySelectorAll('*'))
+        .map((other) => ({ el: other, rect: other.getBoundingClientRect() }));
+    }
+    return documentRects;
+  };
+
+  const findNode = (id) => (id ? document.querySelector(`[data-bake-id="${CSS.escape(id)}"]`) : null);
+  const intersects = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+  const fonts = document.fonts
+    ? Array.from(document.fonts).map((face) => `${face.family}|${face.weight}|${face.style}|${face.status}`).sort()
+    : [];
+
+  return requests.map((request) => {
+    const el = findNode(request.nodeId);
+    if (!el) return null;
+
+    const ancestors = [];
+    for (let current = el.parentElement; current; current = current.parentElement) {
+      ancestors.push(hashAncestor(current));
+    }
+
+    const stack = request.stackNodeIds.map((id) => {
+      const stackEl = findNode(id);
+      return stackEl ? `${hashElement(stackEl)}@${rectOf(stackEl, true).join(',')}` : 'missing';
+    });
+
+    let underlay = [];
+    if (request.sceneUnderlay) {
+      const target = el.getBoundingClientRect();
+      underlay = getDocumentRects()
+        .filter((item) => item.el !== el && !el.contains(item.el) && !item.el.contains(el))
+        .filter((item) => intersects(item.rect, target))
+        .map((item) => `${hashElement(item.el)}@${rectOf(item.el, true).join(',')}`);
+    }
+
+    return JSON.stringify({
+      own: hashElement(el),
+      subtree: request.hideChildren ? [] : Array.from(el.querySelectorAll('*')).map(hashElement),
+      ancestors,
+      rect: rectOf(el, request.positional),
+      stack,
+      underlay,
+      fonts,
+    });
+  });
+}
+
+class CaptureCache {
+  constructor(context) {
+    this.context = context;
+    const config = this.context && this.context.config ? this.context.config : {};
+    this.config = config;
+    this.enabled = config.captureCache === true && !!config.cacheDir;
+    this.cacheDir = config.cacheDir || '';
+    this.hits = 0;
+    this.misses = 0;
+    this.stored = 0;
+  }
+
+  // One evaluate for the whole plan, before any capture mutates the page.
+  async computeKeys(page, tasks) {
+    const keys = new Map();
+    if (!this.enabled) return keys;
+
+    const nodeTasks = (Array.isArray(tasks) ? tasks : []).filter((task) => task && task.type === 'CAPTURE_NODE');
+    const requests = nodeTasks.map((task) => {
+      const params = task.params || {};
+      const mode = params.mode || 'clone';
+      return {
+        nodeId: params.captureSourceNodeId || task.nodeId || params.nodeId || '',
+        stackNodeIds: Array.isArray(params.backgroundStackNodeIds) ? params.backgroundStackNodeIds : [],
+        hideChildren: !!params.hideChildren,
+        // Clone captures are moved off-page, so only in-page modes depend on where the node sits.
+        positional: mode !== 'clone',
+        sceneUnderlay: !!params.preserveSceneUnderlay,
+      };
+    });
+    if (requests.length === 0) return keys;
+
+    const fingerprints = await page.evaluate(fingerprintNodesInPage, requests);
+    const resolution = {
+      dpr: this.config.dpr,
+      logicalWidth: this.config.logicalWidth,
+      logicalHeight: this.config.logicalHeight,
+    };
+    nodeTasks.forEach((task, idx) => {
+      const fingerprint = fingerprints[idx];
+      if (!fingerprint) return;
+      keys.set(task, createHash('sha1')
+        .update(JSON.stringify({
+          version: CACHE_VERSION,
+          code: getCaptureCodeHash(),
+          resolution,
+          trim: this.config.trimTransparent ? this.config.trimMargin : null,
+          params: this._stableParams(task.params),
+          // The ids are run-specific, but whether scroll ancestors were unclipped still changes the pixels.
+          unclippedScrollAncestors: Array.isArray(task.params && task.params.unclipScrollAncestorIds)
+            ? task.params.unclipScrollAncestorIds.length
+            : 0,
+          fingerprint,
+        }))
+        .digest('hex'));
+    });
+    return keys;
+  }
+
+  async restore(key, savePath) {
+    const imagePath = path.join(this.cacheDir, `${key}.png`);
+    const metaPath = path.join(this.cacheDir, `${key}.json`);
+    if (!(await fs.pathExists(imagePath)) || !(await fs.pathExists(metaPath))) {
+      this.misses += 1;
+      return null;
+    }
+
+    try {
+      const capture = await fs.readJson(metaPath);
+      await fs.copy(imagePath, savePath);
+      this.hits += 1;
+      return capture;
+    } catch (_) {
+      // A truncated entry counts as a miss and gets overwritten by the fresh capture.
+      this.misses += 1;
+      return null;
+    }
+  }
+
+  async store(key, savePath, capture) {
+    await fs.ensureDir(this.cacheDir);
+    const imagePath = path.join(this.cacheDir, `${key}.png`);
+    const metaPath = path.join(this.cacheDir, `${key}.json`);
+    // Write-then-rename so a parallel worker or an aborted run never leaves a half-written entry.
+    const suffix = `.${process.pid}.${Date.now()}.tmp`;
+    await fs.copy(savePath, `${imagePath}${suffix}`);
+    await fs.writeJson(`${metaPath}${suffix}`, capture);
+    await fs.move(`${imagePath}${suffix}`, imagePath, { overwrite: true });
+    await fs.move(`${metaPath}${suffix}`, metaPath, { overwrite: true });
+    this.stored += 1;
+  }
+
+  getReport() {
+    return {
+      enabled: this.enabled,
+      dir: this.cacheDir,
+      hits: this.hits,
+      misses: this.misses,
+      stored: this.stored,
+    };
+  }
+
+  _stableParams(params) {
+    const stable = {};
+    for (const key of Object.keys(params || {}).sort()) {
+      if (NODE_ID_PARAMS.has(key)) continue;
+      stable[key] = params[key];
+    }
+    return stable;
+  }
+}
+
+module.exports = CaptureCache;
@@ -1,5 +1,8 @@
 const path = require('path');
 
+const RequestInterceptor = require('./RequestInterceptor');
+const { EMPTY_INSETS, resolveDeviceProfile, parseSafeAreaInsets } = require('./DeviceProfiles');
+
 function coerceValue(value) {
   if (value === 'true') return true;
   if (value === 'false') return false;
@@ -45,14 +48,102 @@ function toPositiveNumber(value, fallback) {
   return parsed;
 }
 
+function toNonNegativeInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return parsed;
+}
+
+function resolveOptionalPath(value) {
+  if (value == null || value === true || value === false) return '';
+  const text = String(value).trim();
+  if (!text) return '';
+  return path.isAbsolute(text) ? text : path.resolve(process.cwd(), text);
+}
+
+// API options are camelCase twins of the CLI flags (outputDir -> --output-dir).
+const API_ONLY_OPTION_KEYS = new Set([
+  'argv',
+  'browser',
+  'html',
+  'writeFiles',
+  'eventStream',
+  'onEvent',
+  'beforeAnalyze',
+]);
+
+function optionsToArgs(options) {
+  const args = {};
+  for (const [key, value] of Object.entries(options || {})) {
+    if (API_ONLY_OPTION_KEYS.has(key)) continue;
+    if (value === undefined || value === null || typeof value === 'function') continue;
+    args[key.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)] = value;
+  }
+  return args;
+}
+
+function resolvePathList(value) {
+  const items = Array.isArray(value) ? value : String(value == null || value === true ? '' : value).split(',');
+  return items
+    .map((item) => resolveOptionalPath(item))
+    .filter(Boolean);
+}
+
+function resolveChoice(value, allowed, flag) {
+  if (value == null || value === true || value === false) return '';
+  const normalized = String(value).trim().toLowerCase();
+  if (!normalized) return '';
+  if (!allowed.includes(normalized)) {
+    throw new Error(`Unsupported ${flag} "${value}". Expected one of: ${allowed.join(', ')}.`);
+  }
+  return normalized;
+}
+
+function resolveText(value) {
+  if (value == null || value === true || value === false) return '';
+  return String(value).trim();
+}
+
+// Text styles a plain TMP label can't reproduce. Each rule can get its own policy via --decorative-text-rules.
+const DECORATIVE_TEXT_RULES = ['stroke', 'paint-order', 'gradient-fill', 'multi-shadow'];
+const DECORATIVE_TEXT_POLICIES = ['text', 'image', 'both'];
+
+function resolveDecorativeTextRules(value) {
+  const rules = {};
+  if (value == null || value === true || value === false) return rules;
+  const entries = typeof value === 'object'
+    ? Object.entries(value)
+    : String(value).split(',').filter((item) => item.trim()).map((item) => item.split('='));
+  for (const [rawName, rawPolicy] of entries) {
+    const name = String(rawName || '').trim().toLowerCase();
+    if (!DECORATIVE_TEXT_RULES.includes(name)) {
+      throw new Error(
+        `Unsupported --decorative-text-rules rule "${rawName}". Expected one of: ${DECORATIVE_TEXT_RULES.join(', ')}.`,
+      );
+    }
+    const policy = resolveChoice(rawPolicy, DECORATIVE_TEXT_POLICIES, `--decorative-text-rules ${name}`);
+    if (!policy) {
+      throw new Error(`Missing policy for --decorative-text-rules ${name}. Use ${name}=<text|image|both>.`);
+    }
+    rules[name] = policy;
+  }
+  return rules;
+}
+
 function roundForDisplay(value) {
   return Number(value.toFixed(2));
 }
 
+// Each pool page is a full renderer; beyond this the browser spends more time switching than capturing.
+const MAX_CAPTURE_CONCURRENCY = 16;
+
 function buildResolutionConfig(args) {
-  const targetWidth = Math.round(toPositiveNumber(args.width, 750));
-  const targetHeight = Math.round(toPositiveNumber(args.height, 1624));
-  const baseWidth = toPositiveNumber(args['base-width'], 375);
+  // Explicit --width/--height/--base-width/--safe-area/--touch win over the device preset.
+  const device = resolveDeviceProfile(args.device);
+  const targetWidth = Math.round(toPositiveNumber(args.width, device ? device.width : 750));
+  const targetHeight = Math.round(toPositiveNumber(args.height, device ? device.height : 1624));
+  const baseWidth = toPositiveNumber(args['base-width'], device ? device.baseWidth : 375);
+  const safeAreaInsets = parseSafeAreaInsets(args['safe-area']) || (device ? device.safeArea : { ...EMPTY_INSETS });
   const userDpr = toPositiveNumber(args.dpr, NaN);
   const rootSelectorRaw = args['root-selector'] || args.root || 'auto';
   const rootSelector = String(rootSelectorRaw || 'auto').trim() || 'auto';
@@ -75,6 +166,63 @@ function buildResolutionConfig(args) {
   const fontsReadyTimeoutMs = Math.round(
     toPositiveNumber(args['fonts-ready-timeout-ms'], 2500),
   );
+  const offline = args.offline === true;
+  const assetMapPath = resolveOptionalPath(args['asset-map']);
+  const vendorDir = resolveOptionalPath(args['vendor-dir']);
+  const enableRequestInterception = offline || !!assetMapPath || !!vendorDir;
+  const idMode = String(args['id-mode'] || 'uuid').trim().toLowerCase() === 'stable' ? 'stable' : 'uuid';
+  const analyzer = resolveChoice(args.analyzer, ['legacy', 'single-pass'], '--analyzer') || 'legacy';
+  const analyzerCompare = args['analyzer-compare'] === true;
+  const trimTransparent = args['trim-transparent'] === true;
+  const trimMargin = toNonNegativeInt(args['trim-margin'], 2);
+  const dedupe = resolveChoice(args.dedupe === true ? 'exact' : args.dedupe, ['exact', 'perceptual', 'off'], '--dedupe')
+    || 'off';
+  const dedupeTolerance = toNonNegativeInt(args['dedupe-tolerance'], 2);
+  const proceduralFill = args['procedural-fill'] === true;
+  const captureScrollContent = args['capture-scroll-content'] === true;
+  const extractPseudoElements = args['extract-pseudo-elements'] === true;
+  const richText = args['rich-text'] === true;
+  const textMetrics = args['text-metrics'] === true;
+  const decorativeText = {
+    policy: resolveChoice(
+      args['decorative-text'] === true ? 'image' : args['decorative-text'],
+      DECORATIVE_TEXT_POLICIES,
+      '--decorative-text',
+    ) || 'text',
+    rules: resolveDecorativeTextRules(args['decorative-text-rules']),
+  };
+  const nineSlice = args['nine-slice'] === true;
+  const atlas = args.atlas === true;
+  const atlasMaxSize = Math.round(toPositiveNumber(args['atlas-max-size'], 2048));
+  const atlasPadding = toNonNegativeInt(args['atlas-padding'], 2);
+  const captureCache = args['no-cache'] !== true;
+  // Beside the output dir, not inside it: the Unity importer copies the whole output dir into Assets.
+  const cacheDir = resolveOptionalPath(args['cache-dir']) || path.join(path.dirname(outputDir), '.bake_cache');
+  const captureConcurrency = Math.min(
+    MAX_CAPTURE_CONCURRENCY,
+    Math.max(1, Math.round(toPositiveNumber(args['capture-concurrency'], 1))),
+  );
+  const fromStage = typeof args['from-stage'] === 'string' ? args['from-stage'].trim().toLowerCase() : '';
+  const toStage = typeof args['to-stage'] === 'string' ? args['to-stage'].trim().toLowerCase() : '';
+  const events = String(args.events || '').trim().toLowerCase() === 'ndjson' ? 'ndjson' : '';
+  const eventsFile = resolveOptionalPath(args['events-file']);
+  const injectScripts = resolvePathList(args['inject-script']);
+  const injectCss = resolvePathList(args['inject-css']);
+  const hookModules = resolvePathList(args.hook);
+  const states = (Array.isArray(args.states) ? args.states : String(args.states == null || args.states === true ? '' : args.states).split(','))
+    .map((name) => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  const statesScript = resolveOptionalPath(args['states-script']);
+  const stateTargets = typeof args['state-targets'] === 'string' ? args['state-targets'].trim() : '';
+  const environment = {
+    colorScheme: resolveChoice(args['color-scheme'], ['light', 'dark', 'no-preference'], '--color-scheme'),
+    reducedMotion: resolveChoice(args['reduced-motion'], ['reduce', 'no-preference'], '--reduced-motion'),
+    locale: resolveText(args.locale),
+    timezone: resolveText(args.timezone),
+    userAgent: resolveText(args['user-agent']),
+    touch: args.touch === true || (!!device && device.touch && args.touch !== false),
+    device: device ? device.name : '',
+  };
 
   let mode = 'logical';
   let dpr = 2.0;
@@ -122,6 +270,42 @@ function buildResolutionConfig(args) {
     navigationTimeoutMs,
     navigationLoadSettleTimeoutMs,
     fontsReadyTimeoutMs,
+    offline,
+    assetMapPath,
+    vendorDir,
+    enableRequestInterception,
+    idMode,
+    analyzer,
+    analyzerCompare,
+    captureConcurrency,
+    captureCache,
+    cacheDir,
+    trimTransparent,
+    trimMargin,
+    dedupe,
+    dedupeTolerance,
+    proceduralFill,
+    captureScrollContent,
+    extractPseudoElements,
+    richText,
+    textMetrics,
+    decorativeText,
+    nineSlice,
+    atlas,
+    atlasMaxSize,
+    atlasPadding,
+    fromStage,
+    toStage,
+    events,
+    eventsFile,
+    injectScripts,
+    injectCss,
+    hookModules,
+    states,
+    statesScript,
+    stateTargets,
+    environment,
+    safeAreaInsets,
   };
 }
 
@@ -145,36 +329,215 @@ function resolvePuppeteer() {
 }
 
 class Context {
-  constructor(argv = []) {
+  constructor(argv = [], options = {}) {
     this.argv = Array.isArray(argv) ? argv : [];
-    this.args = parseArgv(this.argv);
+    this.args = Object.assign(parseArgv(this.argv), options.overrides || {});
     this.config = buildResolutionConfig(this.args);
+    // Batch runs hand in one warm browser; a shared browser is never closed by this context.
+    this.sharedBrowser = options.browser || null;
     this.browser = null;
     this.page = null;
+    this.requestInterceptor = null;
+    this.events = null;
+    this._emulationSessions = new Map();
+    this.safeAreaMode = '';
+    this.poolPages = [];
     this._puppeteer = null;
   }
 
+  static fromOptions(options = {}) {
+    return new Context(Array.isArray(options.argv) ? options.argv : [], {
+      browser: options.browser,
+      overrides: optionsToArgs(options),
+    });
+  }
+
   async launch() {
     if (this.browser && this.page) {
       return { browser: this.browser, page: this.page, config: this.config };
     }
 
-    this._puppeteer = this._puppeteer || resolvePuppeteer();
-    this.browser = await this._puppeteer.launch({
-      headless: this.args.headless !== false,
-    });
+    if (!this.browser) {
+      this.browser = this.sharedBrowser || await this.launchBrowser();
+    }
+
+    this.page = await this._openPreparedPage();
+    return { browser: this.browser, page: this.page, config: this.config };
+  }
 
-    this.page = await this.browser.newPage();
-    await this.page.setViewport({
+  // Extra pages for parallel capture; same viewport, emulation and interception as the main page, not navigated yet.
+  async openPoolPages(count) {
+    if (!this.browser) {
+      throw new Error('Context.openPoolPages requires launch() first.');
+    }
+
+    const pages = [];
+    for (let idx = 0; idx < count; idx += 1) {
+      const page = await this._openPreparedPage();
+      this.poolPages.push(page);
+      pages.push(page);
+    }
+    return pages;
+  }
+
+  async closePoolPages() {
+    const pages = this.poolPages;
+    this.poolPages = [];
+    for (const page of pages) {
+      this._emulationSessions.delete(page);
+      try {
+        await page.close();
+      } catch (_) {
+        // Browser close will clean the page as fallback.
+      }
+    }
+  }
+
+  async _openPreparedPage() {
+    const page = await this.browser.newPage();
+    await page.setViewport({
       width: this.config.logicalWidth,
       height: this.config.logicalHeight,
       deviceScaleFactor: this.config.dpr,
+      hasTouch: this.config.environment.touch,
     });
+    await this._applyEmulation(page);
 
-    return { browser: this.browser, page: this.page, config: this.config };
+    if (this.config.enableRequestInterception) {
+      if (!this.requestInterceptor) {
+        this.requestInterceptor = new RequestInterceptor({
+          offline: this.config.offline,
+          assetMapPath: this.config.assetMapPath,
+          vendorDir: this.config.vendorDir,
+        });
+      }
+      await this.requestInterceptor.attach(page);
+    }
+    return page;
+  }
+
+  // Everything here must land before navigation so first paint already sees the emulated environment.
+  async _applyEmulation(page) {
+    const env = this.config.environment;
+    const mediaFeatures = [];
+    if (env.colorScheme) mediaFeatures.push({ name: 'prefers-color-scheme', value: env.colorScheme });
+    if (env.reducedMotion) mediaFeatures.push({ name: 'prefers-reduced-motion', value: env.reducedMotion });
+    if (mediaFeatures.length > 0) {
+      await page.emulateMediaFeatures(mediaFeatures);
+    }
+
+    if (env.userAgent) {
+      await page.setUserAgent(env.userAgent);
+    }
+
+    if (env.timezone) {
+      await page.emulateTimezone(env.timezone);
+    }
+
+    if (env.locale) {
+      await page.setExtraHTTPHeaders({ 'Accept-Language': env.locale });
+      const session = await this._getEmulationSession(page);
+      await session.send('Emulation.setLocaleOverride', { locale: env.locale });
+      await page.evaluateOnNewDocument((locale) => {
+        const languages = [locale, locale.split('-')[0]].filter((value, idx, list) => list.indexOf(value) === idx);
+        Object.defineProperty(navigator, 'language', { get: () => languages[0] });
+        Object.defineProperty(navigator, 'languages', { get: () => languages.slice() });
+      }, env.locale);
+    }
+
+    const insets = this.config.safeAreaInsets;
+    this.safeAreaMode = '';
+    if (insets && (insets.top > 0 || insets.right > 0 || insets.bottom > 0 || insets.left > 0)) {
+      const session = await this._getEmulationSession(page);
+      try {
+        await session.send('Emulation.setSafeAreaInsetsOverride', {
+          insets: {
+            top: Math.round(insets.top),
+            right: Math.round(insets.right),
+            bottom: Math.round(insets.bottom),
+            left: Math.round(insets.left),
+          },
+        });
+        this.safeAreaMode = 'cdp';
+      } catch (_) {
+        // Older Chromium has no safe-area override; env() values are rewritten after navigation instead.
+        this.safeAreaMode = 'stylesheet-rewrite';
+      }
+    }
+  }
+
+  async applyPostNavigationEmulation(page) {
+    if (this.safeAreaMode !== 'stylesheet-rewrite') return 0;
+    return page.evaluate((insets) => {
+      const detect = /env\(\s*safe-area-inset-(?:top|right|bottom|left)/i;
+      const pattern = /env\(\s*safe-area-inset-(top|right|bottom|left)\s*(?:,[^()]*(?:\([^()]*\)[^()]*)*)?\)/gi;
+      const replaceText = (text) => String(text || '').replace(pattern, (_, side) => `${insets[side.toLowerCase()]}px`);
+      let rewritten = 0;
+
+      for (const styleEl of Array.from(document.querySelectorAll('style'))) {
+        if (!detect.test(styleEl.textContent || '')) continue;
+        styleEl.textContent = replaceText(styleEl.textContent);
+        rewritten += 1;
+      }
+
+      for (const el of Array.from(document.querySelectorAll('[style*="safe-area-inset"]'))) {
+        el.setAttribute('style', replaceText(el.getAttribute('style')));
+        rewritten += 1;
+      }
+
+      const rewriteRules = (owner) => {
+        let rules = null;
+        try {
+          rules = owner.cssRules;
+        } catch (_) {
+          return;
+        }
+        for (let idx = 0; idx < rules.length; idx += 1) {
+          const rule = rules[idx];
+          if (!rule.style && rule.cssRules) {
+            rewriteRules(rule);
+            continue;
+          }
+          if (!detect.test(rule.cssText)) continue;
+          const nextText = replaceText(rule.cssText);
+          owner.deleteRule(idx);
+          owner.insertRule(nextText, idx);
+          rewritten += 1;
+        }
+      };
+      for (const sheet of Array.from(document.styleSheets)) {
+        if (sheet.ownerNode && sheet.ownerNode.tagName === 'STYLE') continue;
+        rewriteRules(sheet);
+      }
+      return rewritten;
+    }, this.config.safeAreaInsets);
+  }
+
+  // CDP overrides only live as long as their session, so keep it attached for the page lifetime.
+  async _getEmulationSession(page) {
+    if (!this._emulationSessions.has(page)) {
+      this._emulationSessions.set(page, await page.target().createCDPSession());
+    }
+    return this._emulationSessions.get(page);
+  }
+
+  async launchBrowser() {
+    if (this.browser) return this.browser;
+
+    this._puppeteer = this._puppeteer || resolvePuppeteer();
+    this.browser = await this._puppeteer.launch({
+      headless: this.args.headless !== false,
+    });
+    return this.browser;
+  }
+
+  getNetworkReport() {
+    return this.requestInterceptor ? this.requestInterceptor.getReport() : null;
   }
 
   async close() {
+    await this.closePoolPages();
+    this._emulationSessions.clear();
     if (this.page) {
       try {
         await this.page.close();
@@ -185,7 +548,9 @@ class Context {
     }
 
     if (this.browser) {
-      await this.browser.close();
+      if (this.browser !== this.sharedBrowser) {
+        await this.browser.close();
+      }
       this.browser = null;
     }
   }
@@ -194,3 +559,4 @@ class Context {
 module.exports = Context;
 module.exports.parseArgv = parseArgv;
 module.exports.buildResolutionConfig = buildResolutionConfig;
+module.exports.optionsToArgs = optionsToArgs;
@@ -0,0 +1,93 @@
+// width/height are physical px (same meaning as --width/--height); baseWidth is the CSS viewport width,
+// so dpr = width / baseWidth. Safe-area insets are CSS px in portrait, as reported by env(safe-area-inset-*).
+const DEVICE_PROFILES = {
+  'iphone-se': {
+    label: 'iPhone SE (3rd gen)',
+    width: 750,
+    height: 1334,
+    baseWidth: 375,
+    safeArea: { top: 20, right: 0, bottom: 0, left: 0 },
+    touch: true,
+  },
+  'iphone-13': {
+    label: 'iPhone 13 / 14',
+    width: 1170,
+    height: 2532,
+    baseWidth: 390,
+    safeArea: { top: 47, right: 0, bottom: 34, left: 0 },
+    touch: true,
+  },
+  'iphone-14-pro': {
+    label: 'iPhone 14 Pro / 15 / 15 Pro',
+    width: 1179,
+    height: 2556,
+    baseWidth: 393,
+    safeArea: { top: 59, right: 0, bottom: 34, left: 0 },
+    touch: true,
+  },
+  'iphone-15-pro-max': {
+    label: 'iPhone 15 Pro Max',
+    width: 1290,
+    height: 2796,
+    baseWidth: 430,
+    safeArea: { top: 59, right: 0, bottom: 34, left: 0 },
+    touch: true,
+  },
+  'pixel-7': {
+    label: 'Pixel 7',
+    width: 1080,
+    height: 2400,
+    baseWidth: 412,
+    safeArea: { top: 24, right: 0, bottom: 0, left: 0 },
+    touch: true,
+  },
+  'ipad-10': {
+    label: 'iPad (10th gen)',
+    width: 1640,
+    height: 2360,
+    baseWidth: 820,
+    safeArea: { top: 24, right: 0, bottom: 20, left: 0 },
+    touch: true,
+  },
+  'ipad-pro-11': {
+    label: 'iPad Pro 11"',
+    width: 1668,
+    height: 2388,
+    baseWidth: 834,
+    safeArea: { top: 24, right: 0, bottom: 20, left: 0 },
+    touch: true,
+  },
+};
+
+const EMPTY_INSETS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+function resolveDeviceProfile(name) {
+  if (name == null || name === true || name === false) return null;
+  const key = String(name).trim().toLowerCase();
+  if (!key) return null;
+
+  const profile = DEVICE_PROFILES[key];
+  if (!profile) {
+    throw new Error(`Unknown --device "${name}". Available: ${Object.keys(DEVICE_PROFILES).join(', ')}.`);
+  }
+  return { name: key, ...profile, safeArea: { ...EMPTY_INSETS, ...profile.safeArea } };
+}
+
+// `--safe-area=top,right,bottom,left` (CSS px, CSS shorthand order; 1-3 values expand like `margin`).
+function parseSafeAreaInsets(value) {
+  if (value == null || value === true || value === false) return null;
+  const parts = String(value).split(',').map((part) => Number.parseFloat(part.trim()));
+  if (parts.length === 0 || parts.length > 4 || parts.some((part) => !Number.isFinite(part) || part < 0)) {
+    throw new Error(`Invalid --safe-area "${value}". Expected 1-4 non-negative CSS px values: top,right,bottom,left.`);
+  }
+
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+module.exports = {
+  DEVICE_PROFILES,
+  EMPTY_INSETS,
+  resolveDeviceProfile,
+  parseSafeAreaInsets,
+};
@@ -0,0 +1,103 @@
+const path = require('path');
+const { createHash } = require('crypto');
+const { decodePng } = require('../utils/png');
+const { collectBakedImagePaths } = require('../utils/bakedImages');
+
+function resolveFsExtra() {
+  try {
+    return require('fs-extra');
+  } catch (_) {
+    return require(path.resolve(__dirname, '../../UIBaker/node_modules/fs-extra'));
+  }
+}
+
+const fs = resolveFsExtra();
+
+// Colour under fully transparent pixels is invisible, so it must not split otherwise identical captures.
+function normalizeTransparent(image) {
+  const data = Buffer.from(image.data);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    if (data[offset + 3] === 0) {
+      data[offset] = 0;
+      data[offset + 1] = 0;
+      data[offset + 2] = 0;
+    }
+  }
+  return { width: image.width, height: image.height, data };
+}
+
+class ImageDeduper {
+  constructor(context) {
+    this.context = context;
+    const config = this.context && this.context.config ? this.context.config : {};
+    this.outputDir = config.outputDir || path.resolve(process.cwd(), 'output');
+    this.mode = config.dedupe || 'off';
+    this.tolerance = config.dedupeTolerance != null ? config.dedupeTolerance : 2;
+  }
+
+  // Canonical file is the first one in plan order, so repeated bakes of the same page pick the same survivor.
+  async run(tasks, captureMeta) {
+    const report = {
+      mode: this.mode,
+      tolerance: this.mode === 'perceptual' ? this.tolerance : 0,
+      imageCount: 0,
+      canonicalCount: 0,
+      removedCount: 0,
+      bytesSaved: 0,
+      aliases: {},
+    };
+    if (this.mode !== 'exact' && this.mode !== 'perceptual') return report;
+
+    const canonicals = [];
+    const byKey = new Map();
+    for (const imagePath of collectBakedImagePaths(tasks, captureMeta)) {
+      const absolutePath = path.join(this.outputDir, imagePath);
+      if (!(await fs.pathExists(absolutePath))) continue;
+      const buffer = await fs.readFile(absolutePath);
+      const image = normalizeTransparent(decodePng(buffer));
+      report.imageCount += 1;
+
+      const key = this.mode === 'exact'
+        ? createHash('sha1').update(`${image.width}x${image.height}|`).update(image.data).digest('hex')
+        : `${image.width}x${image.height}`;
+      const candidates = byKey.get(key) || [];
+      const match = this.mode === 'exact'
+        ? candidates[0]
+        : candidates.find((candidate) => this._withinTolerance(candidate.image, image));
+      if (match) {
+        report.aliases[imagePath] = match.imagePath;
+        report.removedCount += 1;
+        report.bytesSaved += buffer.length;
+        await fs.remove(absolutePath);
+        continue;
+      }
+
+      const entry = { imagePath, image: this.mode === 'perceptual' ? image : null };
+      candidates.push(entry);
+      byKey.set(key, candidates);
+      canonicals.push(entry);
+    }
+
+    report.canonicalCount = canonicals.length;
+    return report;
+  }
+
+  // Compares premultiplied channels so edge pixels that differ only in faint alpha noise still match.
+  _withinTolerance(a, b) {
+    if (a.width !== b.width || a.height !== b.height) return false;
+    const limit = this.tolerance;
+    for (let offset = 0; offset < a.data.length; offset += 4) {
+      const alphaA = a.data[offset + 3];
+      const alphaB = b.data[offset + 3];
+      if (Math.abs(alphaA - alphaB) > limit) return false;
+      for (let channel = 0; channel < 3; channel += 1) {
+        const valueA = (a.data[offset + channel] * alphaA) / 255;
+        const valueB = (b.data[offset + channel] * alphaB) / 255;
+        if (Math.abs(valueA - valueB) > limit) return false;
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = ImageDeduper;
@@ -0,0 +1,177 @@
+const path = require('path');
+const { decodePng, encodePng, createImage } = require('../utils/png');
+
+function resolveFsExtra() {
+  try {
+    return require('fs-extra');
+  } catch (_) {
+    return require(path.resolve(__dirname, '../../UIBaker/node_modules/fs-extra'));
+  }
+}
+
+const fs = resolveFsExtra();
+
+// Stretchable centers shorter than this are not worth a second image.
+const MIN_UNIFORM_RUN = 4;
+// Kept from the uniform run so bilinear sampling at the slice lines only ever sees center pixels.
+const CENTER_SIZE = 2;
+// Per-channel difference still treated as "the same pixel" (GPU dithering on flat fills).
+const CHANNEL_TOLERANCE = 1;
+
+function parsePxValues(value) {
+  const matches = String(value || '').match(/-?\d*\.?\d+px/g) || [];
+  return matches.map((item) => parseFloat(item)).filter((item) => Number.isFinite(item));
+}
+
+class NineSliceDetector {
+  constructor(context) {
+    this.context = context;
+    const config = this.context && this.context.config ? this.context.config : {};
+    this.outputDir = config.outputDir || path.resolve(process.cwd(), 'output');
+    const dpr = Number(config.dpr);
+    this.dpr = Number.isFinite(dpr) && dpr > 0 ? dpr : 1;
+  }
+
+  async run(analysisTree, tasks, captureMeta) {
+    const nodesById = new Map();
+    const visit = (node) => {
+      if (!node) return;
+      if (node.id) nodesById.set(node.id, node);
+      for (const child of Array.isArray(node.children) ? node.children : []) {
+        visit(child);
+      }
+    };
+    visit(analysisTree);
+
+    const nodeCaptures = captureMeta && captureMeta.nodeCaptures ? captureMeta.nodeCaptures : {};
+    const aliases = captureMeta && captureMeta.dedupe && captureMeta.dedupe.aliases ? captureMeta.dedupe.aliases : {};
+    const slices = {};
+    const checked = new Set();
+    for (const task of Array.isArray(tasks) ? tasks : []) {
+      if (!task || task.type !== 'CAPTURE_NODE' || !task.outputName) continue;
+      const nodeId = (task.params && task.params.nodeId) || task.nodeId;
+      const capture = nodeCaptures[nodeId];
+      const node = nodesById.get(nodeId);
+      // Rotated bakes, range fragments and baked text are never stretched on their own.
+      if (!capture || !node || capture.rotationBaked) continue;
+      if (task.params && (task.params.rangePart || task.params.textOnly)) continue;
+
+      const ownPath = path.posix.join('images', `${task.outputName}.png`);
+      const imagePath = aliases[ownPath] || ownPath;
+      if (checked.has(imagePath)) continue;
+      checked.add(imagePath);
+
+      const absolutePath = path.join(this.outputDir, imagePath);
+      if (!(await fs.pathExists(absolutePath))) continue;
+      const slice = await this._detect(absolutePath, imagePath, node, capture);
+      if (slice) slices[imagePath] = slice;
+    }
+    return slices;
+  }
+
+  async _detect(absolutePath, imagePath, node, capture) {
+    const image = decodePng(await fs.readFile(absolutePath));
+    const insets = this._resolveGuideInsets(image, node, capture);
+    const columns = this._findUniformRun(image, 'x', insets.left, image.width - insets.right);
+    const rows = this._findUniformRun(image, 'y', insets.top, image.height - insets.bottom);
+    if (!columns && !rows) return null;
+
+    // An axis without a uniform run keeps its pixels and splits the border in half, so it renders 1:1 but never stretches.
+    const horizontal = columns || { start: Math.floor(image.width / 2), end: Math.floor(image.width / 2) - 1 };
+    const vertical = rows || { start: Math.floor(image.height / 2), end: Math.floor(image.height / 2) - 1 };
+    const sliced = this._collapse(image, horizontal, vertical, !!columns, !!rows);
+    const sliceImagePath = imagePath.replace(/\.png$/i, '.9.png');
+    await fs.writeFile(path.join(this.outputDir, sliceImagePath), encodePng(sliced));
+
+    return {
+      imagePath: sliceImagePath,
+      sourceImagePath: imagePath,
+      width: sliced.width,
+      height: sliced.height,
+      spriteBorder: {
+        left: horizontal.start,
+        right: image.width - 1 - horizontal.end,
+        top: vertical.start,
+        bottom: image.height - 1 - vertical.end,
+      },
+      stretchable: { horizontal: !!columns, vertical: !!rows },
+    };
+  }
+
+  // Corners and borders must stay in the fixed slices; capture padding (shadows) sits outside the content box.
+  _resolveGuideInsets(image, node, capture) {
+    const styles = node.styles || {};
+    const radius = Math.max(0, ...parsePxValues(styles.borderRadius));
+    // The `border` shorthand is empty when the sides differ; it's only a fallback for older analysis trees.
+    const fallbackBorder = Math.max(0, ...parsePxValues(styles.border));
+    const guide = (side) => {
+      const widths = parsePxValues(styles[`border${side}Width`]);
+      const border = widths.length > 0 ? Math.max(0, widths[0]) : fallbackBorder;
+      return Math.ceil(Math.max(radius, border) * this.dpr) + 1;
+    };
+
+    const offsetX = Math.max(0, Number(capture.contentOffsetX) || 0);
+    const offsetY = Math.max(0, Number(capture.contentOffsetY) || 0);
+    const contentWidth = Number(capture.contentWidth) > 0 ? Number(capture.contentWidth) : image.width - offsetX;
+    const contentHeight = Number(capture.contentHeight) > 0 ? Number(capture.contentHeight) : image.height - offsetY;
+    return {
+      left: Math.ceil(offsetX) + guide('Left'),
+      top: Math.ceil(offsetY) + guide('Top'),
+      right: Math.max(0, Math.ceil(image.width - offsetX - contentWidth)) + guide('Right'),
+      bottom: Math.max(0, Math.ceil(image.height - offsetY - contentHeight)) + guide('Bottom'),
+    };
+  }
+
+  // Longest run of identical consecutive columns (axis 'x') or rows (axis 'y') inside [from, to).
+  _findUniformRun(image, axis, from, to) {
+    const length = axis === 'x' ? image.width : image.height;
+    const start = Math.max(0, from);
+    const end = Math.min(length, to);
+    let best = null;
+    let runStart = start;
+    for (let index = start; index < end; index += 1) {
+      const continues = index + 1 < end && this._linesEqual(image, axis, index, index + 1);
+      if (continues) continue;
+      if (!best || index - runStart > best.end - best.start) {
+        best = { start: runStart, end: index };
+      }
+      runStart = index + 1;
+    }
+    if (!best || best.end - best.start + 1 < MIN_UNIFORM_RUN) return null;
+    return best;
+  }
+
+  _linesEqual(image, axis, a, b) {
+    const count = axis === 'x' ? image.height : image.width;
+    for (let i = 0; i < count; i += 1) {
+      const offsetA = axis === 'x' ? (i * image.width + a) * 4 : (a * image.width + i) * 4;
+      const offsetB = axis === 'x' ? (i * image.width + b) * 4 : (b * image.width + i) * 4;
+      for (let channel = 0; channel < 4; channel += 1) {
+        if (Math.abs(image.data[offsetA + channel] - image.data[offsetB + channel]) > CHANNEL_TOLERANCE) return false;
+      }
+    }
+    return true;
+  }
+
+  _collapse(image, horizontal, vertical, collapseX, collapseY) {
+    const pickIndices = (length, run, collapse) => {
+      const indices = [];
+      for (let i = 0; i < length; i += 1) {
+        if (collapse && i >= run.start && i <= run.end && i >= run.start + CENTER_SIZE) continue;
+        indices.push(i);
+      }
+      return indices;
+    };
+    const xs = pickIndices(image.width, horizontal, collapseX);
+    const ys = pickIndices(image.height, vertical, collapseY);
+    const sliced = createImage(xs.length, ys.length);
+    ys.forEach((sourceY, y) => {
+      xs.forEach((sourceX, x) => {
+        image.data.copy(sliced.data, (y * xs.length + x) * 4, (sourceY * image.width + sourceX) * 4, (sourceY * image.width + sourceX) * 4 + 4);
+      });
+    });
+    return sliced;
+  }
+}
+
+module.exports = NineSliceDetector;
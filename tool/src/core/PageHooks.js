@@ -0,0 +1,91 @@
+const fs = require('fs');
+
+function loadHookModule(modulePath) {
+  if (!fs.existsSync(modulePath)) {
+    throw new Error(`Hook module not found: ${modulePath}`);
+  }
+
+  const loaded = require(modulePath);
+  const beforeAnalyze = typeof loaded === 'function' ? loaded : loaded && loaded.beforeAnalyze;
+  if (typeof beforeAnalyze !== 'function') {
+    throw new Error(`Hook module must export beforeAnalyze(page, config): ${modulePath}`);
+  }
+  return beforeAnalyze;
+}
+
+class PageHooks {
+  constructor(context, options = {}) {
+    this.context = context;
+    const config = context && context.config ? context.config : {};
+    this.injectCss = Array.isArray(config.injectCss) ? config.injectCss : [];
+    this.injectScripts = Array.isArray(config.injectScripts) ? config.injectScripts : [];
+    this.hookModules = Array.isArray(config.hookModules) ? config.hookModules : [];
+    this.inlineHooks = []
+      .concat(options.beforeAnalyze || [])
+      .filter((hook) => typeof hook === 'function');
+  }
+
+  hasWork() {
+    return this.injectCss.length > 0
+      || this.injectScripts.length > 0
+      || this.hookModules.length > 0
+      || this.inlineHooks.length > 0;
+  }
+
+  // Runs after navigation and before content measurement, so state changes reach layout and analysis.
+  async apply(page) {
+    const report = { css: [], scripts: [], hooks: [] };
+    if (!this.hasWork()) return report;
+    if (!page) {
+      throw new Error('PageHooks.apply requires a valid Puppeteer page instance.');
+    }
+
+    const config = this.context && this.context.config ? this.context.config : {};
+    for (const cssPath of this.injectCss) {
+      this._assertFile(cssPath, 'Injected CSS');
+      await page.addStyleTag({ path: cssPath });
+      report.css.push(cssPath);
+    }
+
+    for (const scriptPath of this.injectScripts) {
+      this._assertFile(scriptPath, 'Injected script');
+      await page.addScriptTag({ path: scriptPath });
+      report.scripts.push(scriptPath);
+    }
+
+    for (const modulePath of this.hookModules) {
+      const beforeAnalyze = loadHookModule(modulePath);
+      await this._runHook(beforeAnalyze, page, config, modulePath);
+      report.hooks.push(modulePath);
+    }
+
+    for (const hook of this.inlineHooks) {
+      const label = hook.name || 'beforeAnalyze';
+      await this._runHook(hook, page, config, label);
+      report.hooks.push(label);
+    }
+
+    await page.evaluate(async () => {
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+    });
+    return report;
+  }
+
+  async _runHook(hook, page, config, label) {
+    try {
+      await hook(page, config);
+    } catch (error) {
+      const message = error && error.message ? error.message : String(error);
+      throw new Error(`beforeAnalyze hook failed (${label}): ${message}`);
+    }
+  }
+
+  _assertFile(filePath, label) {
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`${label} not found: ${filePath}`);
+    }
+  }
+}
+
+module.exports = PageHooks;
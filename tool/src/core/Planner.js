@@ -53,6 +53,7 @@ class Planner {
       }
       this._traverse(analysisTree, tasks, {
         clippingAncestors: [],
+        scrollAncestorIds: [],
         ancestorHasRotation: false,
         ancestorRotation: 0,
       });
@@ -68,12 +69,20 @@ class Planner {
   _traverse(node, tasks, state) {
     if (!node || !tasks) return;
 
-    const currentState = state || { clippingAncestors: [], ancestorHasRotation: false, ancestorRotation: 0 };
+    const currentState = state || {
+      clippingAncestors: [],
+      scrollAncestorIds: [],
+      ancestorHasRotation: false,
+      ancestorRotation: 0,
+    };
     const config = this.context && this.context.config ? this.context.config : {};
     const enableOpacityDecouple = config.enableOpacityDecouple !== false;
     const enableLowAlphaContextCapture = config.enableLowAlphaContextCapture !== false;
     const enableUnderlayFaintBorderSuppression =
       config.enableUnderlayFaintBorderSuppression !== false;
+    const enableProceduralFill = config.proceduralFill === true;
+    const captureScrollContent = config.captureScrollContent === true;
+    const scrollAncestorIds = Array.isArray(currentState.scrollAncestorIds) ? currentState.scrollAncestorIds : [];
     const isImage = node.type === 'Image';
     const isContainer = node.type === 'Container';
     const hasVisual = !!(node.visual && node.visual.hasVisual);
@@ -193,6 +202,16 @@ class Planner {
       const skipDecision = isRangePartNode
         ? { skip: false, reasons: [] }
         : this._evaluateSkipCapture(node, nearestClip);
+      // Only plain clone captures qualify: any context reason means the pixels depend on more than the node's own fill.
+      const proceduralFill = enableProceduralFill &&
+        !isRangePartNode &&
+        !backgroundStackBase &&
+        !backgroundStackSuppressedBy &&
+        captureMode === 'clone' &&
+        captureReasons.length === 0 &&
+        !rotationBaked
+        ? this._resolveProceduralFill(node)
+        : null;
       if (backgroundStackSuppressedBy && !isRangePartNode) {
         captureResult = {
           decision: 'skip',
@@ -229,6 +248,34 @@ class Planner {
           renderOpacity: effectiveRenderOpacity,
           outputName: null,
         };
+      } else if (proceduralFill) {
+        tasks.push({
+          id: `task-${node.id}`,
+          nodeId: node.id,
+          type: 'FILL_NODE',
+          params: {
+            nodeId: node.id,
+            fill: proceduralFill,
+            reasons: [`procedural-fill:${proceduralFill.kind}`],
+          },
+        });
+        captureResult = {
+          decision: 'fill',
+          reasons: [`procedural-fill:${proceduralFill.kind}`],
+          mode: 'procedural',
+          hideChildren: forceHideChildren,
+          hideOwnText,
+          neutralizeTransforms: false,
+          suppressAncestorPaint: false,
+          preserveOwnTextGeometry: false,
+          preserveSceneUnderlay: false,
+          suppressUnderlayFaintBorder: false,
+          rotationBaked: false,
+          ancestorRotationContext: false,
+          decoupleOpacity: false,
+          renderOpacity: 1,
+          outputName: null,
+        };
       } else {
         const serial = String(tasks.length).padStart(4, '0');
         const tagName = (node.tagName || 'node').toLowerCase();
@@ -272,6 +319,7 @@ class Planner {
               : 0,
             decoupleOpacity: !!effectiveOpacityDecouple,
             renderOpacity: this._round(this._toNumber(effectiveRenderOpacity, 1), 6),
+            unclipScrollAncestorIds: captureMode === 'inPlace' ? scrollAncestorIds.slice() : [],
             reasons: taskReasons,
           },
         };
@@ -301,19 +349,26 @@ class Planner {
       }
     }
 
+    if (node.type === 'Text' && !captureResult) {
+      captureResult = this._planDecorativeText(node, tasks, config.decorativeText);
+    }
+
     this._pushRuleTrace(node, captureResult, nearestClip);
 
     const children = Array.isArray(node.children) ? node.children : [];
     const nextClippingAncestors = Array.isArray(currentState.clippingAncestors)
       ? currentState.clippingAncestors.slice()
       : [];
-    const selfClipRect = this._buildClipRect(node, effectInfo);
+    // Scroll regions become a Unity Mask over full-size content, so they stop clipping descendant captures.
+    const isCapturedScrollRegion = captureScrollContent && !!node.scroll;
+    const selfClipRect = isCapturedScrollRegion ? null : this._buildClipRect(node, effectInfo);
     if (selfClipRect) {
       nextClippingAncestors.push(selfClipRect);
     }
 
     const nextState = {
       clippingAncestors: nextClippingAncestors,
+      scrollAncestorIds: isCapturedScrollRegion ? scrollAncestorIds.concat(node.id) : scrollAncestorIds,
       ancestorHasRotation: currentState.ancestorHasRotation || selfHasRotation,
       ancestorRotation: this._toNumber(currentState.ancestorRotation, 0) + (selfHasRotation ? this._toNumber(node.rotation, 0) : 0),
     };
@@ -358,6 +413,99 @@ class Planner {
     });
   }
 
+  // Text a TMP label can't reproduce is baked from its source element with the box paint stripped.
+  _planDecorativeText(node, tasks, decorativeText) {
+    const rules = this._detectDecorativeText(node.style || (node.styles && node.styles.font));
+    if (rules.length === 0) return null;
+
+    const options = decorativeText && typeof decorativeText === 'object' ? decorativeText : {};
+    const overrides = options.rules && typeof options.rules === 'object' ? options.rules : {};
+    const rank = { text: 0, both: 1, image: 2 };
+    // With several rules matching, the strongest policy wins: image > both > text.
+    const policy = rules
+      .map((rule) => overrides[rule] || options.policy || 'text')
+      .reduce((best, item) => ((rank[item] || 0) > (rank[best] || 0) ? item : best), 'text');
+    const reasons = rules.map((rule) => `decorative-text:${rule}`).concat(`decorative-text-policy:${policy}`);
+    const result = {
+      decision: policy === 'text' ? 'text' : 'capture',
+      reasons,
+      mode: 'decorativeText',
+      hideChildren: false,
+      hideOwnText: false,
+      neutralizeTransforms: false,
+      suppressAncestorPaint: false,
+      preserveOwnTextGeometry: false,
+      preserveSceneUnderlay: false,
+      suppressUnderlayFaintBorder: false,
+      rotationBaked: false,
+      ancestorRotationContext: false,
+      decoupleOpacity: false,
+      renderOpacity: 1,
+      outputName: null,
+    };
+    if (policy === 'text') return result;
+
+    // Direct-text children have no element of their own; the host is captured with its element children hidden.
+    const isSyntheticText = node.childIndex === -1 || String(node.domPath || '').endsWith('::text');
+    const captureSourceNodeId = isSyntheticText && node.parentId ? node.parentId : node.id;
+    const hideChildren = isSyntheticText && !node.richText;
+    const serial = String(tasks.length).padStart(4, '0');
+    const outputName = `${serial}_text`;
+    const taskReasons = reasons.concat(hideChildren ? ['hide-children', 'text-only'] : ['text-only']);
+    tasks.push({
+      id: `task-${node.id}`,
+      nodeId: node.id,
+      type: 'CAPTURE_NODE',
+      outputName,
+      params: {
+        nodeId: node.id,
+        captureSourceNodeId,
+        rangePart: '',
+        hideChildren,
+        hideOwnText: false,
+        textOnly: true,
+        decorativeText: policy,
+        mode: 'clone',
+        neutralizeTransforms: false,
+        suppressAncestorPaint: false,
+        preserveOwnTextGeometry: false,
+        preserveSceneUnderlay: false,
+        suppressUnderlayFaintBorder: false,
+        backgroundStackNodeIds: [],
+        ancestorRotationContext: false,
+        rotationBaked: false,
+        rotationOriginal: 0,
+        decoupleOpacity: false,
+        renderOpacity: 1,
+        unclipScrollAncestorIds: [],
+        reasons: taskReasons,
+      },
+    });
+
+    node.meta = node.meta || {};
+    node.meta.imagePath = `images/${outputName}.png`;
+    return { ...result, reasons: taskReasons, hideChildren, outputName };
+  }
+
+  _detectDecorativeText(font) {
+    if (!font || typeof font !== 'object') return [];
+    const rules = [];
+    const strokeWidth = Number.parseFloat(font.textStrokeWidth);
+    const hasStroke = Number.isFinite(strokeWidth) && strokeWidth > 0 && this._parseColorAlpha(font.textStrokeColor) > 0;
+    if (hasStroke) {
+      rules.push('stroke');
+      // Only matters with a stroke: Chromium paints it under the fill, TMP outlines always straddle the glyph edge.
+      if (/^stroke/.test(String(font.paintOrder || '').trim().toLowerCase())) rules.push('paint-order');
+    }
+    if (!this._isNoneLike(font.textFillImage)) {
+      rules.push('gradient-fill');
+    }
+    if (!this._isNoneLike(font.textShadow) && this._splitTopLevelCommas(font.textShadow).length > 1) {
+      rules.push('multi-shadow');
+    }
+    return rules;
+  }
+
   _evaluateSkipCapture(node, nearestClip) {
     const result = { skip: false, reasons: [] };
     if (!node || !nearestClip) return result;
@@ -527,6 +675,195 @@ class Planner {
     );
   }
 
+  // Solid or single linear-gradient boxes that Unity can draw without a texture. Returns null for anything
+  // whose pixels depend on more than background, uniform border, radius and opacity.
+  // A fill descriptor always covers the whole box once; clipped, sized, tiled or offset backgrounds don't.
+  // Older analysis trees lack these fields and are treated as unknown.
+  _hasDefaultBackgroundGeometry(styles) {
+    const normalize = (value) => String(value == null ? '' : value).trim().toLowerCase().replace(/\s+/g, ' ');
+    return normalize(styles.backgroundClip) === 'border-box' &&
+      ['auto', 'auto auto'].includes(normalize(styles.backgroundSize)) &&
+      ['repeat', 'repeat repeat'].includes(normalize(styles.backgroundRepeat)) &&
+      ['0% 0%', '0px 0px', 'left top'].includes(normalize(styles.backgroundPosition));
+  }
+
+  _resolveProceduralFill(node) {
+    const styles = node && node.styles && typeof node.styles === 'object' ? node.styles : null;
+    const visual = node && node.visual ? node.visual : null;
+    if (!styles || !visual || visual.isIconGlyph || visual.isMask) return null;
+    // Older analysis trees predate the flag; without it a pseudo-element could be painting into the box.
+    if (visual.hasPseudoPaint !== false) return null;
+    if (this._isAtomicVisualTag(node)) return null;
+    const tag = String(node.htmlTag || node.tagName || '').trim().toLowerCase();
+    if (['input', 'select', 'textarea', 'progress', 'meter', 'iframe', 'object', 'embed'].includes(tag)) return null;
+    if (!this._isNoneLike(styles.boxShadow) || this._hasComplexCompositingStyle(styles)) return null;
+    if (!this._hasDefaultBackgroundGeometry(styles)) return null;
+
+    const rect = this._normalizeRect(node.rect);
+    if (!rect || rect.width <= 0 || rect.height <= 0) return null;
+    const config = this.context && this.context.config ? this.context.config : {};
+    const dpr = this._toPositiveNumber(config.dpr, 1);
+
+    const border = this._parseUniformBorder(styles.border, dpr);
+    if (!border) return null;
+    const radius = this._parseCornerRadii(styles.borderRadius, rect, dpr);
+    if (!radius) return null;
+
+    const color = String(styles.backgroundColor || '').trim() || 'rgba(0, 0, 0, 0)';
+    if (!/^rgba?\(/i.test(color)) return null;
+    let gradient = null;
+    if (!this._isNoneLike(styles.backgroundImage)) {
+      gradient = this._parseLinearGradient(styles.backgroundImage, rect);
+      if (!gradient) return null;
+    }
+    if (!gradient && this._parseColorAlpha(color) <= 0 && !border.width) return null;
+
+    return {
+      kind: gradient ? 'linear-gradient' : 'solid',
+      color,
+      angle: gradient ? gradient.angle : null,
+      stops: gradient ? gradient.stops : [],
+      radius,
+      border: border.width > 0 ? border : null,
+      opacity: this._parseOpacity(styles.opacity, 1),
+    };
+  }
+
+  // Computed `border` is only non-empty when all four sides match.
+  _parseUniformBorder(raw, dpr) {
+    const normalized = String(raw || '').trim();
+    if (!normalized) return null;
+    const match = normalized.match(/^(\d*\.?\d+)px\s+([a-z]+)\s*(.*)$/i);
+    if (!match) return null;
+    const width = Number.parseFloat(match[1]);
+    const style = match[2].toLowerCase();
+    if (width <= 0 || style === 'none' || style === 'hidden') {
+      return { width: 0, style: 'none', color: null };
+    }
+    if (style !== 'solid' || !/^rgba?\(/i.test(match[3])) return null;
+    return { width: this._round(width * dpr, 4), style, color: match[3].trim() };
+  }
+
+  // Per-corner radii in physical px (top-left, top-right, bottom-right, bottom-left); null for elliptical corners.
+  _parseCornerRadii(raw, rect, dpr) {
+    const normalized = String(raw || '').trim().toLowerCase();
+    if (normalized.includes('/')) return null;
+    const tokens = normalized ? normalized.split(/\s+/) : ['0px'];
+    if (tokens.length > 4) return null;
+    const values = [];
+    for (const token of tokens) {
+      const match = token.match(/^(\d*\.?\d+)(px|%)?$/);
+      if (!match) return null;
+      const value = Number.parseFloat(match[1]);
+      if (match[2] === '%') {
+        // A percentage is relative to each axis separately, so it is only circular on square boxes.
+        if (Math.abs(rect.width - rect.height) > 0.5) return null;
+        values.push((rect.width * value) / 100);
+      } else {
+        values.push(value * dpr);
+      }
+    }
+    const [topLeft, topRight = topLeft, bottomRight = topLeft, bottomLeft = topRight] = values;
+    const limit = Math.min(rect.width, rect.height) / 2;
+    const clamp = (value) => this._round(Math.min(value, limit), 4);
+    return {
+      topLeft: clamp(topLeft),
+      topRight: clamp(topRight),
+      bottomRight: clamp(bottomRight),
+      bottomLeft: clamp(bottomLeft),
+    };
+  }
+
+  // CSS angle convention (0deg points up, clockwise); stop positions normalized to 0..1 along the gradient line.
+  _parseLinearGradient(raw, rect) {
+    const normalized = String(raw || '').trim();
+    const match = normalized.match(/^linear-gradient\((.*)\)$/i);
+    if (!match) return null;
+    const parts = this._splitTopLevelCommas(match[1]);
+    if (parts.length === 0) return null;
+
+    let angle = 180;
+    const direction = parts[0].trim().toLowerCase();
+    const angleMatch = direction.match(/^(-?\d*\.?\d+)(deg|rad|grad|turn)$/);
+    if (angleMatch) {
+      const value = Number.parseFloat(angleMatch[1]);
+      const factor = { deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360 }[angleMatch[2]];
+      angle = value * factor;
+      parts.shift();
+    } else if (direction.startsWith('to ')) {
+      const sides = direction.slice(3).trim().split(/\s+/).sort().join(' ');
+      const corner = (Math.atan2(rect.height, rect.width) * 180) / Math.PI;
+      const directions = {
+        top: 0,
+        right: 90,
+        bottom: 180,
+        left: 270,
+        'right top': corner,
+        'bottom right': 180 - corner,
+        'bottom left': 180 + corner,
+        'left top': 360 - corner,
+      };
+      if (!Object.prototype.hasOwnProperty.call(directions, sides)) return null;
+      angle = directions[sides];
+      parts.shift();
+    }
+
+    const stops = [];
+    for (const part of parts) {
+      const stopMatch = part.trim().match(/^(rgba?\([^)]*\))((?:\s+-?\d*\.?\d+%)*)$/i);
+      if (!stopMatch) return null;
+      const positions = stopMatch[2].trim()
+        ? stopMatch[2].trim().split(/\s+/).map((value) => Number.parseFloat(value) / 100)
+        : [null];
+      for (const position of positions) {
+        stops.push({ color: stopMatch[1], position });
+      }
+    }
+    if (stops.length < 2) return null;
+
+    // Unpositioned stops: ends default to 0 and 1, runs in between are spread evenly.
+    if (stops[0].position == null) stops[0].position = 0;
+    if (stops[stops.length - 1].position == null) stops[stops.length - 1].position = 1;
+    let lastKnown = 0;
+    for (let idx = 1; idx < stops.length; idx += 1) {
+      if (stops[idx].position == null) continue;
+      const gap = idx - lastKnown;
+      for (let between = lastKnown + 1; between < idx; between += 1) {
+        const from = stops[lastKnown].position;
+        stops[between].position = from + ((stops[idx].position - from) * (between - lastKnown)) / gap;
+      }
+      lastKnown = idx;
+    }
+    let previous = -Infinity;
+    for (const stop of stops) {
+      stop.position = this._round(Math.max(stop.position, previous), 4);
+      previous = stop.position;
+    }
+
+    return {
+      angle: this._round(((angle % 360) + 360) % 360, 4),
+      stops,
+    };
+  }
+
+  _splitTopLevelCommas(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of String(value || '')) {
+      if (ch === '(') depth += 1;
+      if (ch === ')') depth = Math.max(0, depth - 1);
+      if (ch === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
   _isAtomicVisualTag(node) {
     if (!node) return false;
     const tag = String(node.tagName || node.htmlTag || '').trim().toUpperCase();
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPE_BY_EXT = {
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+};
+
+function isRemoteUrl(url) {
+  return /^https?:\/\//i.test(String(url || ''));
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildUrlMatcher(pattern) {
+  const normalized = String(pattern || '').trim();
+  if (!normalized.includes('*')) {
+    const bare = normalized.replace(/\/+$/, '');
+    return {
+      matches: (url) => url === normalized || stripQuery(url).replace(/\/+$/, '') === bare,
+      prefix: null,
+    };
+  }
+
+  // Trailing `*` keeps the matched remainder so directory targets can map sub paths.
+  const starIndex = normalized.indexOf('*');
+  const isPrefixPattern = starIndex === normalized.length - 1;
+  const regex = new RegExp(`^${normalized.split('*').map(escapeRegExp).join('.*')}$`);
+  return {
+    matches: (url) => regex.test(url),
+    prefix: isPrefixPattern ? normalized.slice(0, -1) : null,
+  };
+}
+
+function stripQuery(url) {
+  const text = String(url || '');
+  const cut = text.search(/[?#]/);
+  return cut >= 0 ? text.slice(0, cut) : text;
+}
+
+function resolveContentType(filePath, fallback) {
+  const ext = path.extname(String(filePath || '')).toLowerCase();
+  return CONTENT_TYPE_BY_EXT[ext] || fallback || 'application/octet-stream';
+}
+
+function loadAssetMap(mapPath, baseDir) {
+  if (!mapPath) return [];
+  if (!fs.existsSync(mapPath)) {
+    throw new Error(`Asset map not found: ${mapPath}`);
+  }
+
+  let raw = null;
+  try {
+    raw = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Asset map is not valid JSON: ${mapPath}. ${error.message}`);
+  }
+
+  const source = raw && typeof raw === 'object' && raw.mappings && typeof raw.mappings === 'object'
+    ? raw.mappings
+    : raw;
+  const entries = Array.isArray(source)
+    ? source.map((item) => [item && item.url, item])
+    : Object.entries(source || {});
+
+  const rules = [];
+  for (const [pattern, target] of entries) {
+    if (!pattern || !target) continue;
+    const spec = typeof target === 'string' ? { file: target } : target;
+    const file = String(spec.file || '').trim();
+    if (!file) continue;
+    rules.push({
+      pattern: String(pattern).trim(),
+      matcher: buildUrlMatcher(pattern),
+      target: path.isAbsolute(file) ? file : path.resolve(baseDir, file),
+      isDirectory: /[\\/]$/.test(file),
+      contentType: spec.contentType ? String(spec.contentType) : '',
+    });
+  }
+  return rules;
+}
+
+class RequestInterceptor {
+  constructor(options = {}) {
+    this.offline = options.offline === true;
+    this.assetMapPath = options.assetMapPath || '';
+    this.vendorDir = options.vendorDir || '';
+    const mapBaseDir = this.vendorDir || (this.assetMapPath ? path.dirname(this.assetMapPath) : process.cwd());
+    this.rules = loadAssetMap(this.assetMapPath, mapBaseDir);
+    this.served = [];
+    this.blocked = [];
+    this.passthrough = [];
+  }
+
+  async attach(page) {
+    if (!page) {
+      throw new Error('RequestInterceptor.attach requires a valid Puppeteer page instance.');
+    }
+
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      this._handleRequest(request).catch((error) => {
+        this.blocked.push({
+          url: request.url(),
+          resourceType: request.resourceType(),
+          reason: `intercept-error: ${error && error.message ? error.message : String(error)}`,
+        });
+        // An unresolved request would stall the page until the navigation timeout.
+        try {
+          const handled = typeof request.isInterceptResolutionHandled === 'function' &&
+            request.isInterceptResolutionHandled();
+          if (!handled) {
+            Promise.resolve(request.abort('failed')).catch(() => {});
+          }
+        } catch (_) {
+          // already resolved or the page is gone
+        }
+      });
+    });
+  }
+
+  resolve(url) {
+    const normalizedUrl = String(url || '');
+    for (const rule of this.rules) {
+      if (!rule.matcher.matches(normalizedUrl)) continue;
+
+      let filePath = rule.target;
+      if (rule.isDirectory) {
+        const remainder = rule.matcher.prefix != null
+          ? stripQuery(normalizedUrl).slice(rule.matcher.prefix.length)
+          : new URL(normalizedUrl).pathname;
+        filePath = path.join(rule.target, this._toSafeRelativePath(remainder));
+      }
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        return { filePath, contentType: resolveContentType(filePath, rule.contentType), rule: rule.pattern };
+      }
+    }
+
+    if (this.vendorDir) {
+      // Cache layout fallback: <vendor-dir>/<host>/<path>, with `index` for bare hosts.
+      const parsed = new URL(normalizedUrl);
+      const relative = this._toSafeRelativePath(parsed.pathname) || 'index';
+      const candidates = [path.join(this.vendorDir, parsed.host, relative)];
+      if (!path.extname(relative)) {
+        candidates.push(path.join(this.vendorDir, parsed.host, relative, 'index'));
+      }
+      for (const candidate of candidates) {
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+          return { filePath: candidate, contentType: resolveContentType(candidate), rule: 'vendor-dir' };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getReport() {
+    return {
+      offline: this.offline,
+      assetMap: this.assetMapPath || null,
+      vendorDir: this.vendorDir || null,
+      served: this.served.slice(),
+      blocked: this.blocked.slice(),
+      passthrough: this.passthrough.slice(),
+    };
+  }
+
+  async _handleRequest(request) {
+    if (typeof request.isInterceptResolutionHandled === 'function' && request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    const url = request.url();
+    if (!isRemoteUrl(url)) {
+      await request.continue();
+      return;
+    }
+
+    const resolved = this.resolve(url);
+    if (resolved) {
+      const body = await fs.promises.readFile(resolved.filePath);
+      this.served.push({
+        url,
+        file: resolved.filePath,
+        rule: resolved.rule,
+        resourceType: request.resourceType(),
+      });
+      await request.respond({
+        status: 200,
+        contentType: resolved.contentType,
+        headers: { 'Access-Control-Allow-Origin': '*' },
+        body,
+      });
+      return;
+    }
+
+    if (this.offline) {
+      this.blocked.push({ url, resourceType: request.resourceType(), reason: 'unresolved-offline' });
+      await request.abort('blockedbyclient');
+      return;
+    }
+
+    this.passthrough.push({ url, resourceType: request.resourceType() });
+    await request.continue();
+  }
+
+  _toSafeRelativePath(value) {
+    return String(value || '')
+      .split('/')
+      .map((part) => {
+        try {
+          return decodeURIComponent(part);
+        } catch (_) {
+          return part;
+        }
+      })
+      .filter((part) => part && part !== '.' && part !== '..')
+      .join(path.sep);
+  }
+}
+
+module.exports = RequestInterceptor;
+module.exports.loadAssetMap = loadAssetMap;
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+
+// Forced pseudo classes per named state; a pressed control is hovered as well.
+const PSEUDO_STATES = {
+  hover: ['hover'],
+  active: ['hover', 'active'],
+  focus: ['focus', 'focus-visible'],
+};
+
+const DEFAULT_STATE_TARGETS = [
+  'a[href]',
+  'button',
+  'input',
+  'select',
+  'textarea',
+  'summary',
+  'label',
+  '[role="button"]',
+  '[role="tab"]',
+  '[role="link"]',
+  '[role="checkbox"]',
+  '[role="switch"]',
+  '[tabindex]',
+  '[onclick]',
+].join(', ');
+
+const VISUAL_PROPS = [
+  'backgroundColor',
+  'backgroundImage',
+  'borderTopColor',
+  'borderRightColor',
+  'borderBottomColor',
+  'borderLeftColor',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+  'borderRadius',
+  'boxShadow',
+  'outlineColor',
+  'outlineStyle',
+  'outlineWidth',
+  'opacity',
+  'filter',
+  'transform',
+  'visibility',
+];
+
+// Keys mirror the Analyzer `font` block so deltas can be applied to layout styles as-is.
+const TEXT_PROPS = ['color', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'textDecoration', 'textShadow'];
+
+const FREEZE_STYLE_ID = 'bake-state-freeze-style';
+const RECT_EPSILON = 0.5;
+
+function loadStatesScript(scriptPath) {
+  if (!fs.existsSync(scriptPath)) {
+    throw new Error(`States script not found: ${scriptPath}`);
+  }
+
+  const loaded = require(scriptPath);
+  const source = loaded && typeof loaded.states === 'object' ? loaded.states : loaded;
+  const states = [];
+  for (const [name, apply] of Object.entries(source || {})) {
+    if (typeof apply !== 'function') continue;
+    states.push({ name, apply });
+  }
+  if (states.length === 0) {
+    throw new Error(`States script exports no state functions: ${scriptPath}`);
+  }
+  return states;
+}
+
+class StateVariantBaker {
+  constructor(context, baker, options = {}) {
+    this.context = context;
+    this.baker = baker;
+    const config = this.context && this.context.config ? this.context.config : {};
+    this.pseudoStates = (Array.isArray(config.states) ? config.states : [])
+      .filter((name) => Object.prototype.hasOwnProperty.call(PSEUDO_STATES, name));
+    this.statesScript = config.statesScript || '';
+    this.targetSelector = config.stateTargets || DEFAULT_STATE_TARGETS;
+    this.resetPage = typeof options.resetPage === 'function' ? options.resetPage : null;
+  }
+
+  hasWork() {
+    return this.pseudoStates.length > 0 || !!this.statesScript;
+  }
+
+  async run(page, analysisTree, tasks) {
+    const result = { states: [], nodes: {} };
+    if (!this.hasWork()) return result;
+    if (!page) {
+      throw new Error('StateVariantBaker.run requires a valid Puppeteer page instance.');
+    }
+
+    const taskByNodeId = new Map();
+    for (const task of Array.isArray(tasks) ? tasks : []) {
+      if (!task || task.type !== 'CAPTURE_NODE' || !task.outputName) continue;
+      const nodeId = task.nodeId || (task.params && task.params.nodeId);
+      if (nodeId) taskByNodeId.set(nodeId, task);
+    }
+    const textChildByNodeId = this._collectTextChildren(analysisTree);
+
+    await this._freezeAnimations(page);
+    const baseline = await this._snapshot(page);
+
+    for (const name of this.pseudoStates) {
+      const forced = await this._forcePseudoState(page, PSEUDO_STATES[name]);
+      try {
+        await this._settle(page);
+        const summary = await this._captureState(page, name, baseline, taskByNodeId, textChildByNodeId, result);
+        result.states.push({ name, source: 'pseudo', forcedNodes: forced.count, ...summary });
+      } finally {
+        await forced.release();
+      }
+    }
+
+    if (this.statesScript) {
+      for (const state of loadStatesScript(this.statesScript)) {
+        let cleanup = null;
+        try {
+          cleanup = await state.apply(page, this.context.config);
+          await this._settle(page);
+          const summary = await this._captureState(page, state.name, baseline, taskByNodeId, textChildByNodeId, result);
+          result.states.push({ name: state.name, source: 'script', ...summary });
+        } finally {
+          if (typeof cleanup === 'function') {
+            await cleanup(page, this.context.config);
+          } else if (this.resetPage) {
+            // Script states without a cleanup function get a fresh page to keep states independent.
+            await this.resetPage(page);
+            await this._freezeAnimations(page);
+          }
+        }
+      }
+    }
+
+    await this._unfreezeAnimations(page);
+    return result;
+  }
+
+  async _captureState(page, name, baseline, taskByNodeId, textChildByNodeId, result) {
+    const current = await this._snapshot(page);
+    let captured = 0;
+    let changed = 0;
+
+    for (const [nodeId, before] of Object.entries(baseline)) {
+      const after = current[nodeId];
+      if (!after) continue;
+
+      const rectDelta = this._diffRect(before.rect, after.rect);
+      const visualChanged = VISUAL_PROPS.some((prop) => before.visual[prop] !== after.visual[prop]);
+      const textStyleDelta = this._diffProps(before.text, after.text, TEXT_PROPS);
+      if (!rectDelta && !visualChanged && !textStyleDelta) continue;
+      changed += 1;
+
+      const variant = { name, imagePath: null, rectDelta, textStyleDelta, capture: null };
+      const task = taskByNodeId.get(nodeId);
+      const textChildId = textChildByNodeId.get(nodeId);
+      // Text without its own child node is painted into the node image, so it needs a recapture too.
+      const needsImage = visualChanged || !!rectDelta || (!!textStyleDelta && !textChildId);
+      if (task && needsImage) {
+        const stateTask = { ...task, id: `${task.id || nodeId}@${name}`, outputName: `${task.outputName}@${name}` };
+        const capture = await this.baker.captureNode(page, stateTask);
+        if (capture) {
+          variant.imagePath = path.posix.join('images', `${stateTask.outputName}.png`);
+          variant.capture = capture;
+          captured += 1;
+        }
+      }
+      this._pushVariant(result, nodeId, variant);
+
+      if (textChildId && textStyleDelta) {
+        this._pushVariant(result, textChildId, { name, imagePath: null, rectDelta, textStyleDelta, capture: null });
+      }
+    }
+
+    return { changedNodes: changed, capturedImages: captured };
+  }
+
+  _pushVariant(result, nodeId, variant) {
+    if (!result.nodes[nodeId]) result.nodes[nodeId] = [];
+    result.nodes[nodeId].push(variant);
+  }
+
+  _collectTextChildren(tree) {
+    const map = new Map();
+    const visit = (node) => {
+      if (!node) return;
+      const children = Array.isArray(node.children) ? node.children : [];
+      for (const child of children) {
+        if (child && child.type === 'Text' && typeof child.domPath === 'string' && child.domPath.endsWith('::text')) {
+          map.set(node.id, child.id);
+        }
+        visit(child);
+      }
+    };
+    visit(tree);
+    return map;
+  }
+
+  _diffRect(before, after) {
+    if (!before || !after) return null;
+    const delta = {
+      x: this._round(after.x - before.x),
+      y: this._round(after.y - before.y),
+      width: this._round(after.width - before.width),
+      height: this._round(after.height - before.height),
+    };
+    const moved = Object.values(delta).some((value) => Math.abs(value) >= RECT_EPSILON);
+    return moved ? delta : null;
+  }
+
+  _diffProps(before, after, props) {
+    if (!before || !after) return null;
+    const delta = {};
+    for (const prop of props) {
+      if (before[prop] !== after[prop]) {
+        delta[prop] = after[prop];
+      }
+    }
+    return Object.keys(delta).length > 0 ? delta : null;
+  }
+
+  async _forcePseudoState(page, pseudoClasses) {
+    const session = await page.target().createCDPSession();
+    await session.send('DOM.enable');
+    await session.send('CSS.enable');
+    const { root } = await session.send('DOM.getDocument', { depth: 0 });
+    const selector = `[data-bake-id]:is(${this.targetSelector})`;
+    const { nodeIds } = await session.send('DOM.querySelectorAll', { nodeId: root.nodeId, selector });
+    for (const nodeId of nodeIds) {
+      await session.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: pseudoClasses });
+    }
+
+    return {
+      count: nodeIds.length,
+      release: async () => {
+        try {
+          for (const nodeId of nodeIds) {
+            await session.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] });
+          }
+        } finally {
+          await session.detach();
+        }
+      },
+    };
+  }
+
+  async _freezeAnimations(page) {
+    await page.evaluate((styleId) => {
+      if (document.getElementById(styleId)) return;
+      const styleTag = document.createElement('style');
+      styleTag.id = styleId;
+      styleTag.textContent = [
+        '*, *::before, *::after {',
+        '  transition: none !important;',
+        '  animation-play-state: paused !important;',
+        '  caret-color: transparent !important;',
+        '}',
+      ].join('\n');
+      document.head.appendChild(styleTag);
+    }, FREEZE_STYLE_ID);
+  }
+
+  async _unfreezeAnimations(page) {
+    await page.evaluate((styleId) => {
+      const styleTag = document.getElementById(styleId);
+      if (styleTag) styleTag.remove();
+    }, FREEZE_STYLE_ID);
+  }
+
+  async _settle(page) {
+    await page.evaluate(async () => {
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+    });
+  }
+
+  async _snapshot(page) {
+    const dpr = this._getDpr();
+    return page.evaluate((devicePixelRatio, visualProps, textProps) => {
+      const toPhysicalPx = (value) => {
+        const parsed = parseFloat(value);
+        if (!/px$/.test(String(value || '')) || !Number.isFinite(parsed)) return value;
+        return `${Math.round(parsed * devicePixelRatio * 100) / 100}px`;
+      };
+
+      const snapshot = {};
+      const elements = document.querySelectorAll('[data-bake-id]:not([data-bake-clone="true"])');
+      for (const el of elements) {
+        const id = el.getAttribute('data-bake-id');
+        if (!id || snapshot[id]) continue;
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        const visual = {};
+        for (const prop of visualProps) {
+          visual[prop] = style[prop];
+        }
+        const text = {};
+        for (const prop of textProps) {
+          if (prop === 'textDecoration') {
+            text[prop] = style.textDecorationLine || style.textDecoration;
+          } else if (prop === 'fontSize' || prop === 'letterSpacing') {
+            text[prop] = toPhysicalPx(style[prop]);
+          } else {
+            text[prop] = style[prop];
+          }
+        }
+        snapshot[id] = {
+          rect: {
+            x: (rect.left + window.scrollX) * devicePixelRatio,
+            y: (rect.top + window.scrollY) * devicePixelRatio,
+            width: rect.width * devicePixelRatio,
+            height: rect.height * devicePixelRatio,
+          },
+          visual,
+          text,
+        };
+      }
+      return snapshot;
+    }, dpr, VISUAL_PROPS, TEXT_PROPS);
+  }
+
+  _getDpr() {
+    const config = this.context && this.context.config ? this.context.config : {};
+    const dpr = Number(config.dpr);
+    return Number.isFinite(dpr) && dpr > 0 ? dpr : 1;
+  }
+
+  _round(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round((Number(value) || 0) * factor) / factor;
+  }
+}
+
+module.exports = StateVariantBaker;
+module.exports.PSEUDO_STATES = PSEUDO_STATES;
@@ -0,0 +1,33 @@
+const path = require('path');
+
+// Output-relative paths of every node image a bake produced, in plan order, state variants last.
+// The page background (bg.png) is not a node image and is never listed.
+function collectBakedImagePaths(tasks, captureMeta) {
+  const imagePaths = [];
+  const seen = new Set();
+  const add = (imagePath) => {
+    if (!imagePath || seen.has(imagePath)) return;
+    seen.add(imagePath);
+    imagePaths.push(imagePath);
+  };
+
+  const nodeCaptures = captureMeta && captureMeta.nodeCaptures ? captureMeta.nodeCaptures : {};
+  for (const task of Array.isArray(tasks) ? tasks : []) {
+    if (!task || task.type !== 'CAPTURE_NODE' || !task.outputName) continue;
+    const nodeId = (task.params && task.params.nodeId) || task.nodeId;
+    if (!nodeId || !nodeCaptures[nodeId]) continue;
+    add(path.posix.join('images', `${task.outputName}.png`));
+  }
+
+  const variants = captureMeta && captureMeta.stateVariants ? captureMeta.stateVariants.nodes : null;
+  for (const list of Object.values(variants || {})) {
+    for (const variant of Array.isArray(list) ? list : []) {
+      if (variant && variant.imagePath) add(variant.imagePath);
+    }
+  }
+  return imagePaths;
+}
+
+module.exports = {
+  collectBakedImagePaths,
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+const HTML_EXT_RE = /\.html?$/i;
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+function toPosix(value) {
+  return String(value || '').replace(/\\/g, '/');
+}
+
+function hasWildcard(value) {
+  return /[*?]/.test(String(value || ''));
+}
+
+function globToRegExp(pattern) {
+  let source = '';
+  const text = toPosix(pattern);
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '*') {
+      if (text[i + 1] === '*') {
+        const slashFollows = text[i + 2] === '/';
+        source += slashFollows ? '(?:.*/)?' : '.*';
+        i += slashFollows ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+function walkFiles(dir, recursive, out = []) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_) {
+    return out;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive && !SKIPPED_DIRS.has(entry.name)) {
+        walkFiles(fullPath, recursive, out);
+      }
+    } else if (entry.isFile()) {
+      out.push(fullPath);
+    }
+  }
+  return out;
+}
+
+function expandGlob(pattern, cwd) {
+  const absolute = path.isAbsolute(pattern) ? pattern : path.resolve(cwd, pattern);
+  const segments = toPosix(absolute).split('/');
+  const firstWildcard = segments.findIndex((segment) => hasWildcard(segment));
+  const baseDir = segments.slice(0, firstWildcard).join('/') || '/';
+  const rest = segments.slice(firstWildcard).join('/');
+  const matcher = globToRegExp(rest);
+  const recursive = rest.includes('/') || rest.includes('**');
+
+  return walkFiles(baseDir, recursive)
+    .filter((filePath) => matcher.test(toPosix(path.relative(baseDir, filePath))))
+    .sort();
+}
+
+function expandEntry(entry, cwd) {
+  if (hasWildcard(entry)) {
+    return expandGlob(entry, cwd).filter((filePath) => HTML_EXT_RE.test(filePath));
+  }
+
+  const absolute = path.isAbsolute(entry) ? entry : path.resolve(cwd, entry);
+  if (!fs.existsSync(absolute)) {
+    throw new Error(`Batch input not found: ${absolute}`);
+  }
+  if (fs.statSync(absolute).isDirectory()) {
+    return walkFiles(absolute, false)
+      .filter((filePath) => HTML_EXT_RE.test(filePath))
+      .sort();
+  }
+  return [absolute];
+}
+
+function readListFile(listPath) {
+  return fs.readFileSync(listPath, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+// Accepts a directory, a glob, or a list file (one path/glob per line, `#` comments).
+function resolveBatchInputs(spec, cwd = process.cwd()) {
+  const text = String(spec || '').trim();
+  if (!text) {
+    throw new Error('Batch mode requires --batch <dir|glob|list-file>.');
+  }
+
+  let files = [];
+  const absolute = path.isAbsolute(text) ? text : path.resolve(cwd, text);
+  const isListFile = !hasWildcard(text)
+    && fs.existsSync(absolute)
+    && fs.statSync(absolute).isFile()
+    && !HTML_EXT_RE.test(absolute);
+
+  if (isListFile) {
+    const listDir = path.dirname(absolute);
+    for (const line of readListFile(absolute)) {
+      files.push(...expandEntry(line, listDir));
+    }
+  } else {
+    files = expandEntry(text, cwd);
+  }
+
+  const seen = new Set();
+  return files.filter((filePath) => {
+    const key = path.resolve(filePath);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function sanitizeOutputName(value) {
+  const normalized = String(value || '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-zA-Z0-9_.-]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^[-_.]+|[-_.]+$/g, '');
+  return normalized || 'page';
+}
+
+function createOutputNameAllocator() {
+  const used = new Set();
+  return (htmlPath) => {
+    const base = sanitizeOutputName(path.basename(htmlPath, path.extname(htmlPath)));
+    let name = base;
+    let suffix = 1;
+    while (used.has(name.toLowerCase())) {
+      suffix += 1;
+      name = `${base}_${suffix}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  };
+}
+
+module.exports = {
+  resolveBatchInputs,
+  createOutputNameAllocator,
+};
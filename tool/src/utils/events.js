@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON object per line: { type, ts, ...payload }. Consumers key off `type`.
+class EventStream {
+  constructor(options = {}) {
+    this.toStdout = options.toStdout === true;
+    this.filePath = options.filePath || '';
+    this.listener = typeof options.onEvent === 'function' ? options.onEvent : null;
+    this.fields = options.fields || {};
+    this._fd = null;
+    this._root = options.root || null;
+
+    if (!this._root && this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this._fd = fs.openSync(this.filePath, 'w');
+    }
+  }
+
+  get enabled() {
+    const root = this._root || this;
+    return root.toStdout || root._fd != null || !!root.listener;
+  }
+
+  withFields(fields) {
+    return new EventStream({
+      root: this._root || this,
+      fields: { ...this.fields, ...fields },
+    });
+  }
+
+  emit(type, payload = {}) {
+    const root = this._root || this;
+    if (!this.enabled) return;
+
+    const event = { type, ts: new Date().toISOString(), ...this.fields, ...payload };
+    const line = `${JSON.stringify(event)}\n`;
+    if (root.toStdout) {
+      process.stdout.write(line);
+    }
+    if (root._fd != null) {
+      fs.writeSync(root._fd, line);
+    }
+    if (root.listener) {
+      try {
+        root.listener(event);
+      } catch (_) {
+        // A failing listener must not abort the bake.
+      }
+    }
+  }
+
+  close() {
+    if (this._root || this._fd == null) return;
+    fs.closeSync(this._fd);
+    this._fd = null;
+  }
+}
+
+function createEventStream(config = {}, onEvent = null) {
+  return new EventStream({
+    toStdout: config.events === 'ndjson',
+    filePath: config.eventsFile || '',
+    onEvent,
+  });
+}
+
+// `[code] message` is the warning convention used across the pipeline logs.
+function parseWarning(message) {
+  const text = String(message || '');
+  const match = text.match(/^\[([^\]]+)\]\s*/);
+  return {
+    code: match ? match[1] : 'warning',
+    message: match ? text.slice(match[0].length) : text,
+  };
+}
+
+module.exports = {
+  EventStream,
+  createEventStream,
+  parseWarning,
+};
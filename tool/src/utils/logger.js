@@ -6,9 +6,33 @@ function format(level, msg) {
   return `[${timestamp()}] [${level}] ${msg}`;
 }
 
+// stdout belongs to the event stream in `--events=ndjson` mode, so human logs move to stderr.
+let infoToStderr = false;
+const warnListeners = new Set();
+
+function writeInfo(line) {
+  if (infoToStderr) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
 module.exports = {
-  info: (msg) => console.log(format('INFO', msg)),
-  warn: (msg) => console.warn(format('WARN', msg)),
+  info: (msg) => writeInfo(format('INFO', msg)),
+  warn: (msg) => {
+    console.warn(format('WARN', msg));
+    for (const listener of warnListeners) {
+      listener(msg);
+    }
+  },
   error: (msg) => console.error(format('ERROR', msg)),
-  step: (name) => console.log(`\n${format('STEP', name)}`),
+  step: (name) => writeInfo(`\n${format('STEP', name)}`),
+  useStderr: (enabled = true) => {
+    infoToStderr = !!enabled;
+  },
+  onWarn: (listener) => {
+    warnListeners.add(listener);
+    return () => warnListeners.delete(listener);
+  },
 };
@@ -0,0 +1,217 @@
+const zlib = require('zlib');
+
+// Minimal PNG codec for post-bake image passes. Decodes any non-interlaced 8/16-bit PNG (palette only
+// at 8 bits) into RGBA8 and always encodes RGBA8, which covers every screenshot Chromium produces.
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const dLeft = Math.abs(estimate - left);
+  const dUp = Math.abs(estimate - up);
+  const dUpLeft = Math.abs(estimate - upLeft);
+  if (dLeft <= dUp && dLeft <= dUpLeft) return left;
+  if (dUp <= dUpLeft) return up;
+  return upLeft;
+}
+
+function unfilter(raw, width, height, bytesPerPixel, stride) {
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    const filterType = raw[y * (stride + 1)];
+    const rowIn = y * (stride + 1) + 1;
+    const rowOut = y * stride;
+    for (let x = 0; x < stride; x += 1) {
+      const value = raw[rowIn + x];
+      const left = x >= bytesPerPixel ? out[rowOut + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[rowOut - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[rowOut - stride + x - bytesPerPixel] : 0;
+      let decoded = value;
+      if (filterType === 1) decoded = value + left;
+      else if (filterType === 2) decoded = value + up;
+      else if (filterType === 3) decoded = value + ((left + up) >> 1);
+      else if (filterType === 4) decoded = value + paeth(left, up, upLeft);
+      else if (filterType !== 0) throw new Error(`Unsupported PNG filter type ${filterType}.`);
+      out[rowOut + x] = decoded & 0xff;
+    }
+  }
+  return out;
+}
+
+function decodePng(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file.');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const dataChunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      dataChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('PNG is missing IHDR.');
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type ${colorType}.`);
+  if (header.interlace !== 0) throw new Error('Interlaced PNGs are not supported.');
+  if (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3)) {
+    throw new Error(`Unsupported PNG bit depth ${bitDepth} for color type ${colorType}.`);
+  }
+
+  const sampleBytes = bitDepth / 8;
+  const bytesPerPixel = channels * sampleBytes;
+  const stride = width * bytesPerPixel;
+  const pixels = unfilter(zlib.inflateSync(Buffer.concat(dataChunks)), width, height, bytesPerPixel, stride);
+  const data = Buffer.alloc(width * height * 4);
+  const sample = (index, channel) => pixels[index * bytesPerPixel + channel * sampleBytes];
+
+  for (let i = 0; i < width * height; i += 1) {
+    const target = i * 4;
+    if (colorType === 3) {
+      const entry = pixels[i];
+      data[target] = palette ? palette[entry * 3] : 0;
+      data[target + 1] = palette ? palette[entry * 3 + 1] : 0;
+      data[target + 2] = palette ? palette[entry * 3 + 2] : 0;
+      data[target + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      const gray = sample(i, 0);
+      data[target] = gray;
+      data[target + 1] = gray;
+      data[target + 2] = gray;
+      data[target + 3] = colorType === 4 ? sample(i, 1) : 255;
+    } else {
+      data[target] = sample(i, 0);
+      data[target + 1] = sample(i, 1);
+      data[target + 2] = sample(i, 2);
+      data[target + 3] = colorType === 6 ? sample(i, 3) : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function writeChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+// Per-row adaptive filtering (minimum sum of absolute differences), as libpng does by default.
+function filterRows(data, width, height) {
+  const stride = width * 4;
+  const out = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+  for (let y = 0; y < height; y += 1) {
+    const row = y * stride;
+    let bestType = 0;
+    let bestScore = Infinity;
+    let best = null;
+    for (let filterType = 0; filterType <= 4; filterType += 1) {
+      let score = 0;
+      for (let x = 0; x < stride; x += 1) {
+        const value = data[row + x];
+        const left = x >= 4 ? data[row + x - 4] : 0;
+        const up = y > 0 ? data[row - stride + x] : 0;
+        const upLeft = y > 0 && x >= 4 ? data[row - stride + x - 4] : 0;
+        let encoded = value;
+        if (filterType === 1) encoded = value - left;
+        else if (filterType === 2) encoded = value - up;
+        else if (filterType === 3) encoded = value - ((left + up) >> 1);
+        else if (filterType === 4) encoded = value - paeth(left, up, upLeft);
+        encoded &= 0xff;
+        candidate[x] = encoded;
+        score += encoded < 128 ? encoded : 256 - encoded;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestType = filterType;
+        best = Buffer.from(candidate);
+      }
+    }
+    out[y * (stride + 1)] = bestType;
+    best.copy(out, y * (stride + 1) + 1);
+  }
+  return out;
+}
+
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  return Buffer.concat([
+    SIGNATURE,
+    writeChunk('IHDR', header),
+    writeChunk('IDAT', zlib.deflateSync(filterRows(data, width, height))),
+    writeChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function createImage(width, height) {
+  return { width, height, data: Buffer.alloc(width * height * 4) };
+}
+
+function blitImage(source, target, targetX, targetY) {
+  const rowBytes = source.width * 4;
+  for (let y = 0; y < source.height; y += 1) {
+    source.data.copy(
+      target.data,
+      ((targetY + y) * target.width + targetX) * 4,
+      y * rowBytes,
+      (y + 1) * rowBytes,
+    );
+  }
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+  createImage,
+  blitImage,
+};
@@ -138,6 +138,10 @@ function main() {
       }
     }
 
+    if (params.textOnly && !reasons.includes('text-only')) {
+      issues.push(`Task ${task.outputName || task.id}: textOnly=true but missing reason text-only.`);
+    }
+
     if (mode === 'backgroundStack') {
       if (!reasons.includes('background-stack-composite')) {
         issues.push(